@@ -1,81 +1,245 @@
 // Background service worker for hourly checks
 
+importScripts(
+  'src/services/nameAliases.js',
+  'src/services/rosterDiscovery.js',
+  'src/services/endpointConfig.js',
+  'src/services/apiSchema.js',
+  'src/services/assignments.js',
+  'src/services/apiArchive.js',
+  'src/services/articleState.js',
+  'src/services/formatRules.js'
+);
+
+const Names = self.TableExtensionNames;
+const RosterDiscovery = self.TableExtensionRosterDiscovery;
+const Endpoint = self.TableExtensionEndpoint;
+const Schema = self.TableExtensionSchema;
+const Assignments = self.TableExtensionAssignments;
+const Archive = self.TableExtensionArchive;
+const ArticleState = self.TableExtensionArticleState;
+const FormatRules = self.TableExtensionFormatRules;
+
 const DEFAULT_CHECK_INTERVAL_HOURS = 3;
 const MIN_CHECK_INTERVAL_HOURS = 1;
 const MAX_CHECK_INTERVAL_HOURS = 10;
-const PROFILE_STORAGE_KEY = 'selectedProfile';
+const SELECTED_PROFILES_KEY = 'selectedProfiles';
+const MONITOR_ALL_KEY = 'monitorAllProfiles'; // true: monitor the roster as it is at check time
+const LEGACY_PROFILE_STORAGE_KEY = 'selectedProfile'; // Single profile or 'ALL' (before multi-select)
 const PROFILES_STORAGE_KEY = 'profilesList';
 const NOTIFICATIONS_ENABLED_KEY = 'notificationsEnabled';
 const CHECK_INTERVAL_KEY = 'checkIntervalHours';
-const PORTAL_URL = 'https://powertrack3.aptaracorp.com/AptaraVendorAPI/vendorWorkflow.html';
-const API_URL = 'https://n8n-ex6e.onrender.com/webhook/last-five-days-files';
-
-// Fallback profiles (will be overridden by storage if available)
+const NEXT_CHECK_AT_KEY = 'nextCheckAt';
+const LAST_CHECK_AT_KEY = 'lastCheckAt';
+const CHECK_ALARM_NAME = 'unuploaded-files-check';
+const ALARM_TOLERANCE_MS = 5000; // Alarms may fire slightly early
+const SELECTION_SETTLE_MS = 30 * 1000; // Wait for more profile clicks before checking (alarms' minimum delay)
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+const PORTALS_STORAGE_KEY = 'portalsList';
+const NOTIFY_MODE_KEY = 'notifyMode';
+const LAST_RESULTS_KEY = 'lastCheckResults';
+const NOTIFY_MODE_CHANGE = 'change';
+const NOTIFY_MODE_ALWAYS = 'always';
+const SNOOZED_PROFILES_KEY = 'snoozedProfiles';
+const NOTIFICATION_CONTEXTS_KEY = 'notificationContexts';
+const SNOOZE_DURATION_MS = 60 * 60 * 1000; // 1 hour
+const BADGE_WARNING_COLOR = '#f39c12';
+const BADGE_ALERT_COLOR = '#e74c3c';
+const BADGE_ERROR_COLOR = '#95a5a6';
+const BADGE_ALERT_THRESHOLD = 5; // Unuploaded count at which the badge turns red
+const API_CACHE_KEY = 'apiResponseCache'; // local: { data, report, fetchedAt, url }, also read by content scripts
+const API_DATA_MAX_AGE_MS = 2 * 60 * 1000; // Younger data is served without a new request
+const API_REFRESH_ALARM_NAME = 'api-data-refresh';
+const API_REFRESH_INTERVAL_MINUTES = 10;
+const API_SUBSCRIBERS_KEY = 'apiDataSubscribers'; // session: tab ids of open portal pages
+// Initial team roster, stored on install; after that the roster edited in the popup is used
 const DEFAULT_PROFILES = ['Anuradha', 'Ankur', 'Ruchi', 'DDN', 'Karishma', 'Divyasnh', 'Amiti', 'Ncxmlr'];
 
-let checkInterval = null;
+// Buttons on reminder notifications (Chrome allows at most two); clicking the
+// notification itself opens the portal
+const NOTIFICATION_BUTTONS = [
+  { title: 'Copy article IDs', action: 'copy' },
+  { title: 'Snooze 1h', action: 'snooze' }
+];
+
+// Portals checked in the background (must be covered by host_permissions)
+const DEFAULT_PORTALS = [
+  { name: 'powertrack3', url: 'https://powertrack3.aptaracorp.com/AptaraVendorAPI/vendorWorkflow.html', enabled: true },
+  { name: 'powertrack4', url: 'https://powertrack4.aptaracorp.com/AptaraVendorAPI/vendorWorkflow.html', enabled: true }
+];
+
+// Serializes schedule operations (see enqueueScheduleTask)
+let scheduleQueue = Promise.resolve();
+
+// In-flight offscreen document creation (see ensureOffscreenDocument)
+let creatingOffscreenDocument = null;
 
 /**
- * Get profiles list from storage or use default
+ * Get the team roster from storage
+ * @returns {Promise<Array<string>>}
  */
 async function getProfilesList() {
   try {
     const result = await chrome.storage.sync.get([PROFILES_STORAGE_KEY]);
-    return result[PROFILES_STORAGE_KEY] || DEFAULT_PROFILES;
+    return Array.isArray(result[PROFILES_STORAGE_KEY]) ? result[PROFILES_STORAGE_KEY] : [];
   } catch (error) {
     console.error('[Background] Error getting profiles list:', error);
-    return DEFAULT_PROFILES;
+    return [];
   }
 }
 
 /**
- * Format notification message for unuploaded files
- * @param {string} profile - Profile name
- * @param {number} count - Number of unuploaded files
- * @param {Array<string>} articleIds - Array of article IDs
- * @param {number} maxDisplay - Maximum number of article IDs to display (default: 10)
- * @returns {string} Formatted message
+ * Get the profiles selected for monitoring ("All" resolves to the current roster)
+ * @returns {Promise<Array<string>>}
  */
-function formatUnuploadedFilesMessage(profile, count, articleIds, maxDisplay = 10) {
-  const articleList = articleIds.slice(0, maxDisplay).join(', ');
-  const moreText = articleIds.length > maxDisplay ? ` and ${articleIds.length - maxDisplay} more` : '';
-  const fileText = count === 1 ? 'file' : 'files';
-  return `${profile}: ${count} ${fileText} not uploaded: ${articleList}${moreText}`;
+async function getSelectedProfiles() {
+  try {
+    const result = await chrome.storage.sync.get([SELECTED_PROFILES_KEY, MONITOR_ALL_KEY]);
+    if (result[MONITOR_ALL_KEY] === true) {
+      return getProfilesList();
+    }
+    const profiles = result[SELECTED_PROFILES_KEY];
+    return Array.isArray(profiles) ? profiles : [];
+  } catch (error) {
+    console.error('[Background] Error getting selected profiles:', error);
+    return [];
+  }
 }
 
 /**
- * Format notification message for check complete (no unuploaded files)
- * @param {string} profile - Profile name
- * @param {number} itemsChecked - Number of items checked
- * @returns {string} Formatted message
+ * Convert the old single-profile selection ('Name' or 'ALL') into a profile array
+ */
+async function migrateSelectedProfile() {
+  try {
+    const result = await chrome.storage.sync.get([SELECTED_PROFILES_KEY, LEGACY_PROFILE_STORAGE_KEY]);
+    const legacyProfile = result[LEGACY_PROFILE_STORAGE_KEY];
+    if (legacyProfile === undefined) return;
+
+    if (!Array.isArray(result[SELECTED_PROFILES_KEY]) && legacyProfile) {
+      // 'ALL' keeps following the roster rather than becoming a snapshot of it
+      const monitorAll = legacyProfile === 'ALL';
+      const profiles = monitorAll ? await getProfilesList() : [legacyProfile];
+      await chrome.storage.sync.set({ [SELECTED_PROFILES_KEY]: profiles, [MONITOR_ALL_KEY]: monitorAll });
+      console.log('[Background] Migrated selected profile to:', monitorAll ? 'all profiles' : profiles);
+    }
+    await chrome.storage.sync.remove([LEGACY_PROFILE_STORAGE_KEY]);
+  } catch (error) {
+    console.error('[Background] Error migrating selected profile:', error);
+  }
+}
+
+/**
+ * Get configured portals list from storage or use default
+ * @returns {Promise<Array<{name: string, url: string, enabled: boolean}>>}
+ */
+async function getPortalsList() {
+  try {
+    const result = await chrome.storage.sync.get([PORTALS_STORAGE_KEY]);
+    const portals = result[PORTALS_STORAGE_KEY];
+    return Array.isArray(portals) && portals.length > 0 ? portals : DEFAULT_PORTALS;
+  } catch (error) {
+    console.error('[Background] Error getting portals list:', error);
+    return DEFAULT_PORTALS;
+  }
+}
+
+/**
+ * Store the default roster, portals and format rules for any that are not saved yet.
+ * Storage is the source of truth for all three; the popup and content script only read it.
+ * Old name -> color highlights are turned into format rules once.
+ */
+async function initializeStoredDefaults() {
+  try {
+    const result = await chrome.storage.sync.get([
+      PROFILES_STORAGE_KEY, PORTALS_STORAGE_KEY, FormatRules.RULES_KEY, FormatRules.LEGACY_HIGHLIGHT_RULES_KEY
+    ]);
+    const defaults = {};
+    if (!Array.isArray(result[PROFILES_STORAGE_KEY])) {
+      defaults[PROFILES_STORAGE_KEY] = DEFAULT_PROFILES;
+    }
+    if (!Array.isArray(result[PORTALS_STORAGE_KEY])) {
+      defaults[PORTALS_STORAGE_KEY] = DEFAULT_PORTALS;
+    }
+    if (!Array.isArray(result[FormatRules.RULES_KEY])) {
+      const legacyHighlights = result[FormatRules.LEGACY_HIGHLIGHT_RULES_KEY];
+      defaults[FormatRules.RULES_KEY] = FormatRules.migrateHighlightRules(legacyHighlights || undefined);
+    }
+    if (Object.keys(defaults).length > 0) {
+      await chrome.storage.sync.set(defaults);
+    }
+    if (result[FormatRules.LEGACY_HIGHLIGHT_RULES_KEY]) {
+      await chrome.storage.sync.remove(FormatRules.LEGACY_HIGHLIGHT_RULES_KEY);
+    }
+  } catch (error) {
+    console.error('[Background] Error initializing stored defaults:', error);
+  }
+}
+
+/**
+ * Group unuploaded files by the portal they came from
+ * @param {Array<{articleId: string, portal: string}>} files - Unuploaded files
+ * @returns {Object<string, Array<string>>} Portal name -> article IDs
+ */
+function groupFilesByPortal(files) {
+  const byPortal = {};
+  files.forEach(file => {
+    if (!byPortal[file.portal]) {
+      byPortal[file.portal] = [];
+    }
+    byPortal[file.portal].push(file.articleId);
+  });
+  return byPortal;
+}
+
+/**
+ * Format a file list as "portal: id, id | portal: id"
+ * @param {Array<{articleId: string, portal: string}>} files - Files to list
+ * @param {number} maxDisplay - Maximum number of article IDs to display
+ * @returns {string}
  */
-function formatCheckCompleteMessage(profile, itemsChecked) {
-  return `No unuploaded files found for ${profile} (checked ${itemsChecked} items)`;
+function formatFileList(files, maxDisplay) {
+  const byPortal = groupFilesByPortal(files.slice(0, maxDisplay));
+  const portalList = Object.keys(byPortal)
+    .map(portal => `${portal}: ${byPortal[portal].join(', ')}`)
+    .join(' | ');
+  const moreText = files.length > maxDisplay ? ` and ${files.length - maxDisplay} more` : '';
+  return `${portalList}${moreText}`;
 }
 
 /**
- * Format notification message for all profiles check complete
+ * Format notification message for the multi-profile check summary
  * @param {boolean} hasUnuploaded - Whether any profile has unuploaded files
  * @returns {string} Formatted message
  */
 function formatAllProfilesCheckMessage(hasUnuploaded) {
   return hasUnuploaded 
-    ? 'All profiles checked - notifications sent for profiles with unuploaded files'
-    : 'All profiles checked - no unuploaded files found';
+    ? 'Selected profiles checked - notifications sent for profiles with unuploaded files'
+    : 'Selected profiles checked - no unuploaded files found';
 }
 
 /**
  * Send Chrome notification from background script
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {string|null} tag - Notification ID (optional)
+ * @param {Object|null} context - Reminder context ({ profile, articleIds, portals }); adds action buttons when given
  */
-async function sendBackgroundNotification(title, message, tag = null) {
+async function sendBackgroundNotification(title, message, tag = null, context = null) {
   try {
     const notificationId = tag || `notification-${Date.now()}-${Math.random()}`;
-    await chrome.notifications.create(notificationId, {
+    const options = {
       type: 'basic',
       iconUrl: chrome.runtime.getURL('icons/logo-32.png'),
       title: title,
       message: message
-    });
+    };
+
+    if (context) {
+      options.buttons = NOTIFICATION_BUTTONS.map(button => ({ title: button.title }));
+      await saveNotificationContext(notificationId, context);
+    }
+
+    await chrome.notifications.create(notificationId, options);
     console.log('[Background] Notification sent:', title, 'ID:', notificationId);
   } catch (error) {
     console.error('[Background] Error sending notification:', error);
@@ -83,27 +247,76 @@ async function sendBackgroundNotification(title, message, tag = null) {
 }
 
 /**
- * Extract text content from HTML cell
+ * Build lookup data for the unuploaded check from portal rows
+ * @param {Array<Object>} rows - Portal rows, each tagged with its portal name
+ * @returns {Object} Portal index (see ArticleState.buildPortalIndex) plus rows, articlePortals and failedPortals
+ */
+function buildPortalData(rows) {
+  const articlePortals = new Map();
+
+  rows.forEach(row => {
+    if (!articlePortals.has(row.articleId)) {
+      articlePortals.set(row.articleId, row.portal);
+    }
+  });
+
+  return { rows, ...ArticleState.buildPortalIndex(rows), articlePortals, failedPortals: [] };
+}
+
+/**
+ * Create the offscreen document used for DOM parsing if it does not exist yet
  */
-function extractCellText(html) {
-  // Remove HTML tags and decode entities
-  return html
-    .replace(/<[^>]*>/g, '')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .trim();
+async function ensureOffscreenDocument() {
+  const offscreenUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [offscreenUrl]
+  });
+  if (contexts.length > 0) {
+    return;
+  }
+
+  // Only one offscreen document may exist, so share an in-flight creation
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ['DOM_PARSER', 'CLIPBOARD'],
+      justification: 'Parse the portal article table and copy article IDs from notifications'
+    }).finally(() => {
+      creatingOffscreenDocument = null;
+    });
+  }
+  await creatingOffscreenDocument;
+}
+
+/**
+ * Parse portal page HTML into row models in the offscreen document
+ * @param {string} html - Portal page HTML
+ * @returns {Promise<{tableFound: boolean, columns: Array<string>, rows: Array<Object>}>}
+ */
+async function parsePortalHtml(html) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    type: 'PARSE_PORTAL_HTML',
+    target: 'offscreen',
+    html
+  });
+
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'No response from offscreen document');
+  }
+  return response.result;
 }
 
 /**
- * Fetch and parse portal page HTML
+ * Fetch and parse one portal page
+ * @param {{name: string, url: string}} portal - Portal to fetch
+ * @returns {Promise<Array<Object>|null>} Portal rows tagged with the portal name, or null if the portal could not be read
  */
-async function fetchPortalData() {
+async function fetchPortalRows(portal) {
   try {
-    console.log('[Background] Fetching portal page...');
-    const response = await fetch(PORTAL_URL, {
+    console.log(`[Background] Fetching ${portal.name} portal page...`);
+    const response = await fetch(portal.url, {
       credentials: 'include'
     });
     
@@ -112,109 +325,184 @@ async function fetchPortalData() {
     }
     
     const html = await response.text();
-    console.log('[Background] Portal page fetched, length:', html.length);
-    
-    // Find table with id="article_data"
-    const tableMatch = html.match(/<table[^>]*id=["']article_data["'][^>]*>([\s\S]*?)<\/table>/i);
-    if (!tableMatch) {
-      console.log('[Background] Table not found in portal page');
-      return { portalArticleIds: new Set(), pendingQAArticleIds: new Set() };
-    }
-    
-    const tableHtml = tableMatch[1];
+    console.log(`[Background] ${portal.name} page fetched, length:`, html.length);
     
-    // Find header row to determine column indices
-    const headerMatch = tableHtml.match(/<thead[^>]*>([\s\S]*?)<\/thead>/i);
-    if (!headerMatch) {
-      console.log('[Background] Header not found');
-      return { portalArticleIds: new Set(), pendingQAArticleIds: new Set() };
+    // A page without the table is usually an expired session or login page, so
+    // treat it as a failed read rather than a portal with no files
+    const { tableFound, columns, rows } = await parsePortalHtml(html);
+    if (!tableFound) {
+      console.log(`[Background] Table not found in ${portal.name} page`);
+      return null;
     }
-    
-    const headerHtml = headerMatch[1];
-    const headerCells = headerHtml.match(/<th[^>]*>([\s\S]*?)<\/th>/gi) || [];
-    
-    let articleIdIndex = -1;
-    let actionIndex = -1;
-    
-    headerCells.forEach((cell, index) => {
-      const text = extractCellText(cell).toLowerCase();
-      if (text.includes('article id')) {
-        articleIdIndex = index;
-      }
-      if (text.includes('action')) {
-        actionIndex = index;
-      }
-    });
-    
-    console.log('[Background] Column indices - Article ID:', articleIdIndex, 'Action:', actionIndex);
-    
-    if (articleIdIndex === -1) {
-      console.log('[Background] Article ID column not found');
-      return { portalArticleIds: new Set(), pendingQAArticleIds: new Set() };
+
+    if (!columns.includes('articleId')) {
+      console.log(`[Background] Article ID column not found in ${portal.name}`);
+      return null;
     }
-    
-    // Extract article IDs and pending QA status from tbody rows
-    const portalArticleIds = new Set();
-    const pendingQAArticleIds = new Set();
-    
-    // Match all table rows in tbody
-    const tbodyMatch = tableHtml.match(/<tbody[^>]*>([\s\S]*?)<\/tbody>/i);
-    if (tbodyMatch) {
-      const tbodyHtml = tbodyMatch[1];
-      const rowMatches = tbodyHtml.match(/<tr[^>]*>([\s\S]*?)<\/tr>/gi) || [];
-      
-      rowMatches.forEach(rowHtml => {
-        // Extract all td cells from this row
-        const cellMatches = rowHtml.match(/<td[^>]*>([\s\S]*?)<\/td>/gi) || [];
-        
-        if (cellMatches.length > articleIdIndex) {
-          const articleIdCell = cellMatches[articleIdIndex];
-          const articleId = extractCellText(articleIdCell);
-          
-          if (articleId) {
-            portalArticleIds.add(articleId);
-            
-            // Check for pending QA validation
-            if (actionIndex !== -1 && cellMatches.length > actionIndex) {
-              const actionCell = cellMatches[actionIndex];
-              const actionText = extractCellText(actionCell).toLowerCase();
-              if (actionText.includes('pending qa validation')) {
-                pendingQAArticleIds.add(articleId);
-              }
-            }
-          }
-        }
-      });
+
+    console.log(`[Background] ${portal.name} article rows:`, rows.length);
+    return rows.map(row => ({ ...row, portal: portal.name }));
+  } catch (error) {
+    console.error(`[Background] Error fetching ${portal.name} portal data:`, error);
+    return null;
+  }
+}
+
+/**
+ * Fetch all enabled portals in parallel and merge their rows
+ */
+async function fetchAllPortals() {
+  const portals = (await getPortalsList()).filter(portal => portal.enabled !== false);
+  const rowsPerPortal = await Promise.all(portals.map(fetchPortalRows));
+  await ArticleState.load();
+  const portalData = buildPortalData(rowsPerPortal.filter(Boolean).flat());
+
+  // Remember portals that could not be read so their files are not reported as resolved
+  portalData.failedPortals = portals
+    .filter((portal, index) => rowsPerPortal[index] === null)
+    .map(portal => portal.name);
+
+  console.log('[Background] Portal article IDs:', portalData.portalArticleIds.size);
+  console.log('[Background] Pending QA article IDs:', portalData.pendingQAArticleIds.size);
+
+  return portalData;
+}
+
+/**
+ * Request the webhook, retrying 5xx, timeout and network errors
+ * @param {Object} endpoint - Active endpoint settings
+ * @param {AbortSignal} signal - Cancels the request and any pending retry
+ * @returns {Promise<{items: Array<Object>, report: Object}>} Valid items and the data-quality report
+ */
+async function requestApiData(endpoint, signal) {
+  console.log('[Background] Fetching API data from', endpoint.environment, 'environment...');
+  const data = await Endpoint.requestWithRetry(endpoint, {
+    signal,
+    onRetry: ({ attempt, maxAttempts, delayMs, error }) => {
+      console.log(`[Background] API request failed (${error}), retrying (${attempt}/${maxAttempts}) in ${delayMs} ms`);
+      broadcastToSubscribers({ type: 'API_FETCH_PROGRESS', retry: { attempt, maxAttempts } });
     }
-    
-    console.log('[Background] Portal article IDs:', portalArticleIds.size);
-    console.log('[Background] Pending QA article IDs:', pendingQAArticleIds.size);
-    
-    return { portalArticleIds, pendingQAArticleIds };
+  });
+  console.log('[Background] API data fetched, items:', data?.length || 0);
+
+  // Drop rows that cannot be used and keep a report of everything malformed
+  const { items, report } = Schema.validateResponse(data);
+  if (report.issues.length > 0) {
+    console.log(`[Background] API data quality: ${report.issues.length} issues, ${report.totalRows - report.validRows} rows dropped`);
+  }
+  return { items, report };
+}
+
+// ============ DATA HUB ============
+// The worker is the single owner of API and portal data. Portal tabs ask for API data
+// with GET_API_DATA and get fresh data pushed after SUBSCRIBE_UPDATES, so concurrent
+// requests from several tabs and the scheduled check share one webhook call.
+
+let apiDataState = null; // { data, report, fetchedAt, url }
+let apiFetchPromise = null;
+let apiFetchController = null; // Aborts the in-flight API request (e.g. when the endpoint changes)
+let portalFetchPromise = null;
+
+/**
+ * Get the last API data (memory first, then local storage after a worker restart)
+ * @returns {Promise<{data: Array<Object>, report: Object, fetchedAt: number, url: string}|null>}
+ */
+async function getCachedApiData() {
+  if (!apiDataState) {
+    const result = await chrome.storage.local.get([API_CACHE_KEY]);
+    apiDataState = result[API_CACHE_KEY] || null;
+  }
+  return apiDataState;
+}
+
+/**
+ * Fetch API data, store it and push it to subscribed tabs
+ * @param {Object} endpoint - Active endpoint settings
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<{data: Array<Object>, report: Object, fetchedAt: number, url: string}>}
+ */
+async function refreshApiData(endpoint, signal) {
+  let result;
+  try {
+    result = await requestApiData(endpoint, signal);
   } catch (error) {
-    console.error('[Background] Error fetching portal data:', error);
-    return { portalArticleIds: new Set(), pendingQAArticleIds: new Set() };
+    broadcastToSubscribers({ type: 'API_FETCH_PROGRESS', retry: null, error: error.message });
+    throw error;
   }
+  apiDataState = { data: result.items, report: result.report, fetchedAt: Date.now(), url: endpoint.url };
+  await chrome.storage.local.set({ [API_CACHE_KEY]: apiDataState });
+  await RosterDiscovery.recordDoneByNames(result.items);
+  await archiveApiRows(result.items);
+  await broadcastApiData(apiDataState);
+  return apiDataState;
 }
 
 /**
- * Fetch API data
+ * Keep each day's rows in the IndexedDB archive (failures only cost history)
+ * @param {Array<Object>} items - Validated API items
  */
-async function fetchApiData() {
+async function archiveApiRows(items) {
   try {
-    console.log('[Background] Fetching API data...');
-    const response = await fetch(API_URL, {
-      method: 'GET',
-      headers: { 'Accept': 'application/json' }
+    const days = await Archive.storeRows(items);
+    console.log('[Background] Archived API rows for', days, 'days');
+  } catch (error) {
+    console.error('[Background] Error archiving API rows:', error);
+  }
+}
+
+/**
+ * Get API rows between two days: live rows for the days the webhook still returns,
+ * archived rows for older days
+ * @param {string} [from] - 'YYYY-MM-DD' (open-ended when omitted)
+ * @param {string} [to] - 'YYYY-MM-DD' (open-ended when omitted)
+ * @returns {Promise<{data: Array<Object>, fetchedAt: number}>}
+ */
+async function getApiDataForRange(from, to) {
+  const live = await getApiData();
+  const isInRange = (day) => Boolean(day) && (!from || day >= from) && (!to || day <= to);
+  const liveDays = Archive.groupByDay(live.data);
+
+  const archived = await Archive.getRows(from, to).catch((error) => {
+    console.error('[Background] Error reading API archive:', error);
+    return [];
+  });
+  const olderRows = archived.filter(row => !liveDays.has(Archive.toDayKey(row.Date)));
+  const liveRows = live.data.filter(row => isInRange(Archive.toDayKey(row.Date)));
+
+  return { data: [...olderRows, ...liveRows], fetchedAt: live.fetchedAt };
+}
+
+/**
+ * Get API data, reusing recent data and any request already in flight
+ * @param {boolean} forceRefresh - Skip recent data
+ * @returns {Promise<{data: Array<Object>, report: Object, fetchedAt: number, url: string}>}
+ */
+async function getApiData(forceRefresh = false) {
+  const endpoint = await Endpoint.getActiveEndpoint();
+  const cached = await getCachedApiData();
+  const isRecent = cached && cached.url === endpoint.url &&
+    Date.now() - cached.fetchedAt < API_DATA_MAX_AGE_MS;
+  if (isRecent && !forceRefresh) {
+    return cached;
+  }
+
+  if (!apiFetchPromise) {
+    apiFetchController = new AbortController();
+    apiFetchPromise = refreshApiData(endpoint, apiFetchController.signal).finally(() => {
+      apiFetchPromise = null;
+      apiFetchController = null;
     });
-    
-    if (!response.ok || response.status >= 400) {
-      throw new Error(`API error! status: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    console.log('[Background] API data fetched, items:', data?.length || 0);
-    return Array.isArray(data) ? data : [];
+  }
+  return apiFetchPromise;
+}
+
+/**
+ * Fetch API data for background checks
+ * @returns {Promise<Array<Object>>} API response items (empty on error)
+ */
+async function fetchApiData() {
+  try {
+    return (await getApiData()).data;
   } catch (error) {
     console.error('[Background] Error fetching API data:', error);
     return [];
@@ -222,45 +510,275 @@ async function fetchApiData() {
 }
 
 /**
- * Check unuploaded files for a specific profile
+ * Fetch portal data, sharing a fetch already in flight
+ * @returns {Promise<Object>} Merged portal data (see buildPortalData)
  */
-async function checkProfileUnuploadedFiles(profile, portalData, apiData) {
-  const { portalArticleIds, pendingQAArticleIds } = portalData;
-  
-  const profileArticleIds = [];
-  let profileItemsCount = 0;
-  
-  apiData.forEach(item => {
-    const doneBy = item['Done by'] || '-';
-    const articleNumber = item['Article number'] || '';
-    
-    if (doneBy === profile) {
-      profileItemsCount++;
-      if (articleNumber) {
-        // Unuploaded = in portal table AND NOT pending QA (ignore QA as requested)
-        const isInPortal = portalArticleIds.has(articleNumber);
-        const hasPendingQA = pendingQAArticleIds.has(articleNumber);
-        
-        // Not uploaded if: in portal AND not pending QA
-        if (isInPortal && !hasPendingQA) {
-          profileArticleIds.push(articleNumber);
-        }
-      }
+function fetchPortalData() {
+  if (!portalFetchPromise) {
+    portalFetchPromise = fetchAllPortals().finally(() => {
+      portalFetchPromise = null;
+    });
+  }
+  return portalFetchPromise;
+}
+
+/**
+ * Get tab ids subscribed to API data updates
+ * @returns {Promise<Array<number>>}
+ */
+async function getSubscribedTabs() {
+  const result = await chrome.storage.session.get([API_SUBSCRIBERS_KEY]);
+  return result[API_SUBSCRIBERS_KEY] || [];
+}
+
+/**
+ * Subscribe a tab to API data updates and make sure the refresh alarm runs
+ * @param {number} tabId - Portal tab id
+ */
+async function subscribeTab(tabId) {
+  const tabIds = await getSubscribedTabs();
+  if (!tabIds.includes(tabId)) {
+    tabIds.push(tabId);
+    await chrome.storage.session.set({ [API_SUBSCRIBERS_KEY]: tabIds });
+  }
+
+  const alarm = await chrome.alarms.get(API_REFRESH_ALARM_NAME);
+  if (!alarm) {
+    await chrome.alarms.create(API_REFRESH_ALARM_NAME, { periodInMinutes: API_REFRESH_INTERVAL_MINUTES });
+  }
+}
+
+/**
+ * Remove tabs from the subscriber list
+ * @param {Array<number>} removedTabIds - Tab ids to remove
+ */
+async function unsubscribeTabs(removedTabIds) {
+  const tabIds = await getSubscribedTabs();
+  const remaining = tabIds.filter(tabId => !removedTabIds.includes(tabId));
+  if (remaining.length !== tabIds.length) {
+    await chrome.storage.session.set({ [API_SUBSCRIBERS_KEY]: remaining });
+  }
+}
+
+/**
+ * Send a message to every subscribed tab, dropping tabs that are gone
+ * @param {Object} message - Message to send
+ */
+async function broadcastToSubscribers(message) {
+  const tabIds = await getSubscribedTabs();
+  const unreachable = [];
+
+  await Promise.all(tabIds.map(async (tabId) => {
+    try {
+      await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+      // Tab closed or navigated away from the portal
+      unreachable.push(tabId);
     }
+  }));
+
+  if (unreachable.length > 0) {
+    await unsubscribeTabs(unreachable);
+  }
+}
+
+/**
+ * Push API data to every subscribed tab
+ * @param {{data: Array<Object>, report: Object, fetchedAt: number}} state - API data
+ */
+async function broadcastApiData(state) {
+  await broadcastToSubscribers({
+    type: 'API_DATA_UPDATED',
+    data: state.data,
+    report: state.report,
+    fetchedAt: state.fetchedAt
   });
+}
+
+/**
+ * Cancel the in-flight API request (its callers get the abort error)
+ * @param {string} reason - Why it was cancelled
+ */
+function cancelApiFetch(reason) {
+  if (apiFetchController) {
+    console.log('[Background] Cancelling API request:', reason);
+    apiFetchController.abort(new Error(reason));
+  }
+}
 
-  console.log(`[Background] ${profile} - Items in API: ${profileItemsCount}, Unuploaded: ${profileArticleIds.length}`);
+/**
+ * Scheduled refresh for open portal tabs (stops once none are subscribed)
+ */
+async function refreshSubscribedTabs() {
+  const tabIds = await getSubscribedTabs();
+  if (tabIds.length === 0) {
+    await chrome.alarms.clear(API_REFRESH_ALARM_NAME);
+    return;
+  }
 
-  // Send notification if there are unuploaded files
-  if (profileArticleIds.length > 0) {
-    const message = formatUnuploadedFilesMessage(profile, profileArticleIds.length, profileArticleIds);
-    
-    // Use unique tag for each profile to ensure separate notifications
-    await sendBackgroundNotification('Unuploaded Files Reminder', message, `unuploaded-${profile}-${Date.now()}`);
-    return true; // Has unuploaded files
+  try {
+    await getApiData();
+  } catch (error) {
+    console.error('[Background] Scheduled API refresh failed:', error);
   }
-  
-  return false; // No unuploaded files
+}
+
+// Answer data requests from portal tabs
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // With from/to ('YYYY-MM-DD') the reply spans the archive as well
+  if (message.type === 'GET_API_DATA' && (message.from || message.to)) {
+    getApiDataForRange(message.from, message.to)
+      .then(result => sendResponse({ success: true, data: result.data, fetchedAt: result.fetchedAt }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'GET_API_DATA') {
+    getApiData(message.forceRefresh === true)
+      .then(state => sendResponse({
+        success: true, data: state.data, report: state.report, fetchedAt: state.fetchedAt
+      }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'SUBSCRIBE_UPDATES' && sender.tab) {
+    subscribeTab(sender.tab.id)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  return false;
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  unsubscribeTabs([tabId]);
+});
+
+// A request to the old endpoint is no longer useful once the settings change
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if ((areaName === 'sync' && changes[Endpoint.SETTINGS_KEY]) ||
+      (areaName === 'local' && changes[Endpoint.AUTH_TOKENS_KEY])) {
+    cancelApiFetch('Data source changed');
+  }
+});
+
+/**
+ * Find unuploaded files for a specific profile
+ * @param {string} profile - Profile name
+ * @param {Object} portalData - Merged portal data (see buildPortalData)
+ * @param {Array<Object>} apiData - Current API row per article (Assignments.getCurrentItems)
+ * @returns {{files: Array<{articleId: string, portal: string}>, itemsCount: number}}
+ */
+function findUnuploadedFiles(profile, portalData, apiData) {
+  const { articleIds, itemsCount } = ArticleState.findUnuploaded(
+    apiData, portalData, doneBy => Names.namesMatch(doneBy, profile)
+  );
+  const files = articleIds.map(articleId => ({ articleId, portal: portalData.articlePortals.get(articleId) }));
+  return { files, itemsCount };
+}
+
+/**
+ * Diff this check's unuploaded files against the previous check
+ * @param {Array<{articleId: string, portal: string}>} previousFiles - Files from the last check
+ * @param {Array<{articleId: string, portal: string}>} currentFiles - Files from this check
+ * @param {Array<string>} failedPortals - Portals that could not be read this time
+ * @returns {{added: Array, resolved: Array, outstanding: Array, carried: Array}}
+ */
+function diffUnuploadedFiles(previousFiles, currentFiles, failedPortals) {
+  const previousIds = new Set(previousFiles.map(file => file.articleId));
+  const currentIds = new Set(currentFiles.map(file => file.articleId));
+
+  const added = currentFiles.filter(file => !previousIds.has(file.articleId));
+  const outstanding = currentFiles.filter(file => previousIds.has(file.articleId));
+  const missing = previousFiles.filter(file => !currentIds.has(file.articleId));
+
+  // Files from an unreadable portal are unknown, not resolved - carry them over
+  const carried = missing.filter(file => failedPortals.includes(file.portal));
+  const resolved = missing.filter(file => !failedPortals.includes(file.portal));
+
+  return { added, resolved, outstanding, carried };
+}
+
+/**
+ * Format notification message for a profile's change since the last check
+ * @param {string} profile - Profile name
+ * @param {{added: Array, resolved: Array, outstanding: Array}} diff - Result of diffUnuploadedFiles
+ * @param {number} maxDisplay - Maximum number of article IDs to display per list (default: 5)
+ * @returns {string} Formatted message
+ */
+function formatUnuploadedChangesMessage(profile, diff, maxDisplay = 5) {
+  const lines = [];
+  if (diff.added.length > 0) {
+    lines.push(`New: ${diff.added.length} not uploaded - ${formatFileList(diff.added, maxDisplay)}`);
+  }
+  if (diff.resolved.length > 0) {
+    lines.push(`Resolved: ${diff.resolved.map(file => file.articleId).slice(0, maxDisplay).join(', ')}` +
+      (diff.resolved.length > maxDisplay ? ` and ${diff.resolved.length - maxDisplay} more` : ''));
+  }
+  if (diff.outstanding.length > 0) {
+    lines.push(`Still outstanding: ${diff.outstanding.length} - ${formatFileList(diff.outstanding, maxDisplay)}`);
+  }
+  return `${profile}\n${lines.join('\n')}`;
+}
+
+/**
+ * Get the notify mode setting
+ * @returns {Promise<string>} NOTIFY_MODE_CHANGE or NOTIFY_MODE_ALWAYS
+ */
+async function getNotifyMode() {
+  try {
+    const result = await chrome.storage.sync.get([NOTIFY_MODE_KEY]);
+    return result[NOTIFY_MODE_KEY] === NOTIFY_MODE_ALWAYS ? NOTIFY_MODE_ALWAYS : NOTIFY_MODE_CHANGE;
+  } catch (error) {
+    console.error('[Background] Error getting notify mode:', error);
+    return NOTIFY_MODE_CHANGE;
+  }
+}
+
+/**
+ * Notify about a profile's unuploaded files changes
+ * @param {string} profile - Profile name
+ * @param {{files: Array, itemsCount: number}} unuploaded - Result of findUnuploadedFiles
+ * @param {Array<string>} failedPortals - Portals that could not be read this time
+ * @param {Object} previousResults - Profile -> files from the last check (updated in place)
+ * @param {string} notifyMode - NOTIFY_MODE_CHANGE or NOTIFY_MODE_ALWAYS
+ * @returns {Promise<boolean>} Whether a notification was sent
+ */
+async function checkProfileUnuploadedFiles(profile, unuploaded, failedPortals, previousResults, notifyMode) {
+  const { files, itemsCount } = unuploaded;
+  const diff = diffUnuploadedFiles(previousResults[profile] || [], files, failedPortals);
+
+  console.log(`[Background] ${profile} - Items in API: ${itemsCount}, Unuploaded: ${files.length}, ` +
+    `New: ${diff.added.length}, Resolved: ${diff.resolved.length}`);
+
+  previousResults[profile] = [...files, ...diff.carried];
+
+  const hasChanged = diff.added.length > 0 || diff.resolved.length > 0;
+  const shouldNotify = notifyMode === NOTIFY_MODE_ALWAYS
+    ? files.length > 0 || diff.resolved.length > 0
+    : hasChanged;
+
+  if (!shouldNotify) {
+    return false;
+  }
+
+  const message = formatUnuploadedChangesMessage(profile, diff);
+  const portals = Object.keys(groupFilesByPortal(files));
+  const title = portals.length > 0
+    ? `Unuploaded Files Reminder (${portals.join(', ')})`
+    : 'Unuploaded Files Resolved';
+
+  const context = {
+    profile,
+    articleIds: files.map(file => file.articleId),
+    portals
+  };
+
+  // Use unique tag for each profile to ensure separate notifications
+  await sendBackgroundNotification(title, message, `unuploaded-${profile}-${Date.now()}`, context);
+  return true;
 }
 
 /**
@@ -269,19 +787,14 @@ async function checkProfileUnuploadedFiles(profile, portalData, apiData) {
 async function checkUnuploadedFiles() {
   try {
     console.log('[Background] Checking unuploaded files...');
-    const result = await chrome.storage.sync.get([PROFILE_STORAGE_KEY]);
-    const selectedProfile = result[PROFILE_STORAGE_KEY];
-    console.log('[Background] Selected profile:', selectedProfile);
+    const profilesToCheck = await getSelectedProfiles();
+    console.log('[Background] Selected profiles:', profilesToCheck);
 
-    if (!selectedProfile) {
+    if (profilesToCheck.length === 0) {
       console.log('[Background] No profile selected, skipping');
       return;
     }
 
-    // Get profiles list and determine which profiles to check
-    const allProfiles = await getProfilesList();
-    const profilesToCheck = selectedProfile === 'ALL' ? allProfiles : [selectedProfile];
-
     // Fetch portal data and API data in parallel
     const [portalData, apiData] = await Promise.all([
       fetchPortalData(),
@@ -290,52 +803,281 @@ async function checkUnuploadedFiles() {
 
     if (apiData.length === 0) {
       console.log('[Background] No API data available');
+      await setErrorBadge('No API data available');
       await sendBackgroundNotification('Check Complete', 'No API data available');
       return;
     }
 
+    await Names.load();
+    const notifyMode = await getNotifyMode();
+    const stored = await chrome.storage.local.get([LAST_RESULTS_KEY]);
+    const previousResults = stored[LAST_RESULTS_KEY] || {};
+    const snoozedProfiles = await getSnoozedProfiles();
+
+    // Each article counts once, for its current owner
+    const currentItems = Assignments.getCurrentItems(apiData);
+
     // Check each profile with delay between notifications
     let hasAnyUnuploaded = false;
+    const unuploadedCounts = {};
     for (let i = 0; i < profilesToCheck.length; i++) {
       const profile = profilesToCheck[i];
-      const hasUnuploaded = await checkProfileUnuploadedFiles(profile, portalData, apiData);
-      if (hasUnuploaded) {
-        hasAnyUnuploaded = true;
+      const unuploaded = findUnuploadedFiles(profile, portalData, currentItems);
+      unuploadedCounts[profile] = unuploaded.files.length;
+
+      // Snoozed profiles keep their previous results so the next reminder covers the whole snooze
+      if (snoozedProfiles[profile]) {
+        console.log(`[Background] ${profile} snoozed until`, new Date(snoozedProfiles[profile]).toLocaleString());
+        continue;
       }
-      
-      // Add delay between notifications (except for the last one)
-      // This ensures each notification is sent separately
-      if (i < profilesToCheck.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay
+
+      const notified = await checkProfileUnuploadedFiles(
+        profile, unuploaded, portalData.failedPortals, previousResults, notifyMode
+      );
+      if (notified) {
+        hasAnyUnuploaded = true;
+        
+        // Add delay between notifications (except for the last one)
+        // This ensures each notification is sent separately
+        if (i < profilesToCheck.length - 1) {
+          await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay
+        }
       }
     }
 
-    // If checking all profiles, send summary
-    if (selectedProfile === 'ALL') {
+    // Persist results so the next check can diff against them
+    await chrome.storage.local.set({ [LAST_RESULTS_KEY]: previousResults });
+    await updateBadge(unuploadedCounts);
+
+    // If checking several profiles, send summary (only when something changed in change mode)
+    if (profilesToCheck.length > 1 && (hasAnyUnuploaded || notifyMode === NOTIFY_MODE_ALWAYS)) {
       const summaryMessage = formatAllProfilesCheckMessage(hasAnyUnuploaded);
       await sendBackgroundNotification('Check Complete', summaryMessage);
     }
 
   } catch (error) {
     console.error('[Background] Error checking files:', error);
+    await setErrorBadge(`Check failed: ${error.message}`);
     await sendBackgroundNotification('Error', `Failed to check files: ${error.message}`);
   }
 }
 
+// ============ BADGE ============
+
 /**
- * Check if notifications are enabled
- * @returns {Promise<boolean>}
+ * Show the unuploaded count on the extension badge, with a per-profile tooltip
+ * @param {Object<string, number>} unuploadedCounts - Profile -> unuploaded file count
  */
-async function areNotificationsEnabled() {
+async function updateBadge(unuploadedCounts) {
   try {
-    const result = await chrome.storage.sync.get([NOTIFICATIONS_ENABLED_KEY]);
-    return result[NOTIFICATIONS_ENABLED_KEY] === true;
+    const profiles = Object.keys(unuploadedCounts);
+    const total = profiles.reduce((sum, profile) => sum + unuploadedCounts[profile], 0);
+
+    if (total === 0) {
+      await clearBadge();
+      return;
+    }
+
+    const breakdown = profiles
+      .filter(profile => unuploadedCounts[profile] > 0)
+      .map(profile => `${profile}: ${unuploadedCounts[profile]}`)
+      .join('\n');
+
+    await chrome.action.setBadgeText({ text: String(total) });
+    await chrome.action.setBadgeBackgroundColor({
+      color: total >= BADGE_ALERT_THRESHOLD ? BADGE_ALERT_COLOR : BADGE_WARNING_COLOR
+    });
+    await chrome.action.setTitle({ title: `Unuploaded files: ${total}\n${breakdown}` });
+  } catch (error) {
+    console.error('[Background] Error updating badge:', error);
+  }
+}
+
+/**
+ * Show that the last check could not complete
+ * @param {string} reason - Tooltip text
+ */
+async function setErrorBadge(reason) {
+  try {
+    await chrome.action.setBadgeText({ text: '!' });
+    await chrome.action.setBadgeBackgroundColor({ color: BADGE_ERROR_COLOR });
+    await chrome.action.setTitle({ title: reason });
+  } catch (error) {
+    console.error('[Background] Error updating badge:', error);
+  }
+}
+
+/**
+ * Clear the badge and restore the default tooltip
+ */
+async function clearBadge() {
+  try {
+    await chrome.action.setBadgeText({ text: '' });
+    await chrome.action.setTitle({ title: chrome.runtime.getManifest().name });
+  } catch (error) {
+    console.error('[Background] Error clearing badge:', error);
+  }
+}
+
+// ============ NOTIFICATION ACTIONS ============
+
+/**
+ * Remember what a reminder notification was about, for its click handlers
+ * (session storage survives the service worker being suspended)
+ * @param {string} notificationId - Notification ID
+ * @param {Object} context - { profile, articleIds, portals }
+ */
+async function saveNotificationContext(notificationId, context) {
+  const result = await chrome.storage.session.get([NOTIFICATION_CONTEXTS_KEY]);
+  const contexts = result[NOTIFICATION_CONTEXTS_KEY] || {};
+  contexts[notificationId] = context;
+  await chrome.storage.session.set({ [NOTIFICATION_CONTEXTS_KEY]: contexts });
+}
+
+/**
+ * Get the context saved for a notification
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Object|null>}
+ */
+async function getNotificationContext(notificationId) {
+  const result = await chrome.storage.session.get([NOTIFICATION_CONTEXTS_KEY]);
+  const contexts = result[NOTIFICATION_CONTEXTS_KEY] || {};
+  return contexts[notificationId] || null;
+}
+
+/**
+ * Forget the context saved for a notification
+ * @param {string} notificationId - Notification ID
+ */
+async function removeNotificationContext(notificationId) {
+  const result = await chrome.storage.session.get([NOTIFICATION_CONTEXTS_KEY]);
+  const contexts = result[NOTIFICATION_CONTEXTS_KEY] || {};
+  if (contexts[notificationId]) {
+    delete contexts[notificationId];
+    await chrome.storage.session.set({ [NOTIFICATION_CONTEXTS_KEY]: contexts });
+  }
+}
+
+/**
+ * Get profiles whose reminders are snoozed, dropping expired snoozes
+ * @returns {Promise<Object<string, number>>} Profile -> snoozed-until timestamp
+ */
+async function getSnoozedProfiles() {
+  try {
+    const result = await chrome.storage.local.get([SNOOZED_PROFILES_KEY]);
+    const snoozed = result[SNOOZED_PROFILES_KEY] || {};
+    const now = Date.now();
+    const active = {};
+    Object.keys(snoozed).forEach(profile => {
+      if (snoozed[profile] > now) {
+        active[profile] = snoozed[profile];
+      }
+    });
+    if (Object.keys(active).length !== Object.keys(snoozed).length) {
+      await chrome.storage.local.set({ [SNOOZED_PROFILES_KEY]: active });
+    }
+    return active;
+  } catch (error) {
+    console.error('[Background] Error getting snoozed profiles:', error);
+    return {};
+  }
+}
+
+/**
+ * Snooze a profile's reminders
+ * @param {string} profile - Profile name
+ */
+async function snoozeProfile(profile) {
+  const snoozed = await getSnoozedProfiles();
+  snoozed[profile] = Date.now() + SNOOZE_DURATION_MS;
+  await chrome.storage.local.set({ [SNOOZED_PROFILES_KEY]: snoozed });
+  console.log(`[Background] ${profile} snoozed until`, new Date(snoozed[profile]).toLocaleString());
+}
+
+/**
+ * Copy text to the clipboard through the offscreen document
+ * @param {string} text - Text to copy
+ */
+async function copyTextToClipboard(text) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    type: 'COPY_TO_CLIPBOARD',
+    target: 'offscreen',
+    text
+  });
+
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'No response from offscreen document');
+  }
+}
+
+/**
+ * Focus an open portal tab (or open one) and filter it to a profile's articles
+ * @param {Object} context - { profile, portals }
+ */
+async function openPortalForProfile(context) {
+  const portals = await getPortalsList();
+  const portal = portals.find(p => context.portals && context.portals.includes(p.name)) || portals[0];
+  if (!portal) return;
+
+  const tabs = await chrome.tabs.query({ url: `${portal.url}*` });
+  const tab = tabs[0];
+
+  if (!tab) {
+    // The content script reads the profile from the hash once the table is ready
+    await chrome.tabs.create({ url: `${portal.url}#profile=${encodeURIComponent(context.profile)}` });
+    return;
+  }
+
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: 'FILTER_PROFILE', profile: context.profile });
   } catch (error) {
-    console.error('[Background] Error checking notification status:', error);
-    return false; // Default to disabled if error
+    console.error('[Background] Could not filter portal tab:', error);
   }
 }
 
+/**
+ * Run a notification action
+ * @param {string} notificationId - Notification ID
+ * @param {string} action - 'open', 'copy' or 'snooze'
+ */
+async function handleNotificationAction(notificationId, action) {
+  const context = await getNotificationContext(notificationId);
+  if (!context) return;
+
+  try {
+    if (action === 'open') {
+      await openPortalForProfile(context);
+    } else if (action === 'copy') {
+      await copyTextToClipboard(context.articleIds.join('\n'));
+    } else if (action === 'snooze') {
+      await snoozeProfile(context.profile);
+    }
+  } catch (error) {
+    console.error(`[Background] Notification action "${action}" failed:`, error);
+    await sendBackgroundNotification('Error', `Failed to ${action}: ${error.message}`);
+  }
+
+  chrome.notifications.clear(notificationId);
+}
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  handleNotificationAction(notificationId, 'open');
+});
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  const button = NOTIFICATION_BUTTONS[buttonIndex];
+  if (button) {
+    handleNotificationAction(notificationId, button.action);
+  }
+});
+
+chrome.notifications.onClosed.addListener((notificationId) => {
+  removeNotificationContext(notificationId);
+});
+
 /**
  * Get check interval in milliseconds from storage
  * @returns {Promise<number>} Interval in milliseconds
@@ -357,107 +1099,176 @@ async function getCheckIntervalMs() {
 }
 
 /**
- * Start hourly check interval
+ * Check if a profile is selected and notifications are enabled
+ * @returns {Promise<boolean>}
  */
-async function startHourlyCheck() {
-  const enabled = await areNotificationsEnabled();
-  if (!enabled) {
-    console.log('[Background] Notifications are disabled, not starting check');
-    stopHourlyCheck();
+async function isScheduledCheckActive() {
+  try {
+    const result = await chrome.storage.sync.get([NOTIFICATIONS_ENABLED_KEY]);
+    if (result[NOTIFICATIONS_ENABLED_KEY] !== true) return false;
+    const profiles = await getSelectedProfiles();
+    return profiles.length > 0;
+  } catch (error) {
+    console.error('[Background] Error reading schedule settings:', error);
+    return false;
+  }
+}
+
+/**
+ * Run schedule operations one at a time so that startup hooks, alarms and
+ * storage changes firing together cannot trigger the same check twice
+ * @param {Function} task - Async schedule operation
+ * @returns {Promise<void>}
+ */
+function enqueueScheduleTask(task) {
+  scheduleQueue = scheduleQueue
+    .then(task)
+    .catch(error => console.error('[Background] Schedule error:', error));
+  return scheduleQueue;
+}
+
+/**
+ * Persist the next run time and point the alarm at it
+ * @param {number} nextCheckAt - Timestamp (ms) of the next check
+ */
+async function setNextCheckAt(nextCheckAt) {
+  await chrome.storage.local.set({ [NEXT_CHECK_AT_KEY]: nextCheckAt });
+  await chrome.alarms.create(CHECK_ALARM_NAME, { when: nextCheckAt });
+}
+
+/**
+ * Run the check if its stored next-run time has passed, otherwise make sure
+ * the alarm is armed. Missed runs (browser closed, worker suspended) are
+ * caught up with a single check rather than one per missed interval.
+ */
+async function runCheckIfDue() {
+  const active = await isScheduledCheckActive();
+  if (!active) {
+    await stopScheduledCheck();
+    return;
+  }
+
+  const intervalMs = await getCheckIntervalMs();
+  const stored = await chrome.storage.local.get([NEXT_CHECK_AT_KEY]);
+  const nextCheckAt = stored[NEXT_CHECK_AT_KEY];
+  const now = Date.now();
+
+  if (typeof nextCheckAt === 'number' && nextCheckAt > now + ALARM_TOLERANCE_MS) {
+    // Not due yet - re-arm the alarm in case it was lost
+    await chrome.alarms.create(CHECK_ALARM_NAME, { when: nextCheckAt });
     return;
   }
 
-  if (checkInterval) {
-    clearInterval(checkInterval);
+  if (typeof nextCheckAt === 'number') {
+    const missedRuns = Math.floor((now - nextCheckAt) / intervalMs);
+    if (missedRuns > 0) {
+      console.log('[Background] Catching up on', missedRuns, 'missed check(s)');
+    }
+  }
+
+  // Schedule the next run before checking so a failed check cannot stall the schedule
+  await chrome.storage.local.set({ [LAST_CHECK_AT_KEY]: now });
+  await setNextCheckAt(now + intervalMs);
+  console.log('[Background] Next check at:', new Date(now + intervalMs).toLocaleString());
+
+  await checkUnuploadedFiles();
+}
+
+/**
+ * Rebuild the schedule after a settings change
+ * @param {boolean} runImmediately - Check now instead of waiting for the next interval
+ */
+async function rescheduleCheck(runImmediately) {
+  const active = await isScheduledCheckActive();
+  if (!active) {
+    console.log('[Background] Profile or notifications not enabled, stopping check');
+    await stopScheduledCheck();
+    return;
   }
 
-  // Get the configured interval
   const intervalMs = await getCheckIntervalMs();
-  const intervalHours = intervalMs / (60 * 60 * 1000);
+  const stored = await chrome.storage.local.get([LAST_CHECK_AT_KEY]);
+  const lastCheckAt = stored[LAST_CHECK_AT_KEY];
+  const nextCheckAt = runImmediately || typeof lastCheckAt !== 'number'
+    ? Date.now()
+    : lastCheckAt + intervalMs;
 
-  // Check immediately
-  checkUnuploadedFiles();
-  
-  // Then check every interval
-  checkInterval = setInterval(() => {
-    checkUnuploadedFiles();
-  }, intervalMs);
-  
-  console.log('[Background] Check started with interval:', intervalHours, 'hours');
+  await chrome.storage.local.set({ [NEXT_CHECK_AT_KEY]: nextCheckAt });
+  await runCheckIfDue();
 }
 
 /**
- * Stop hourly check interval
+ * Check shortly after the monitored profiles change. Every checkbox click saves,
+ * so each change moves the same alarm back and several clicks in a row lead to
+ * one check instead of one each.
  */
-function stopHourlyCheck() {
-  if (checkInterval) {
-    clearInterval(checkInterval);
-    checkInterval = null;
+async function rescheduleAfterSelectionChange() {
+  const active = await isScheduledCheckActive();
+  if (!active) {
+    await stopScheduledCheck();
+    return;
   }
+  await setNextCheckAt(Date.now() + SELECTION_SETTLE_MS);
+}
+
+/**
+ * Stop scheduled checks and forget the stored next-run time
+ */
+async function stopScheduledCheck() {
+  await chrome.alarms.clear(CHECK_ALARM_NAME);
+  await chrome.storage.local.remove([NEXT_CHECK_AT_KEY]);
+  await clearBadge();
 }
 
+// Run the check when its alarm fires (wakes the service worker if suspended)
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CHECK_ALARM_NAME) {
+    console.log('[Background] Check alarm fired');
+    enqueueScheduleTask(runCheckIfDue);
+  } else if (alarm.name === API_REFRESH_ALARM_NAME) {
+    refreshSubscribedTabs();
+  }
+});
+
 // Listen for profile, notification setting, and interval changes
 chrome.storage.onChanged.addListener((changes, areaName) => {
   if (areaName === 'sync') {
-    if (changes[PROFILE_STORAGE_KEY]) {
-      const newProfile = changes[PROFILE_STORAGE_KEY].newValue;
-      if (newProfile) {
-        startHourlyCheck();
-      } else {
-        stopHourlyCheck();
-      }
+    if (changes[SELECTED_PROFILES_KEY] || changes[MONITOR_ALL_KEY]) {
+      enqueueScheduleTask(rescheduleAfterSelectionChange);
     }
     
     if (changes[NOTIFICATIONS_ENABLED_KEY]) {
       const isEnabled = changes[NOTIFICATIONS_ENABLED_KEY].newValue === true;
       console.log('[Background] Notification setting changed:', isEnabled);
       if (isEnabled) {
-        startHourlyCheck();
+        enqueueScheduleTask(() => rescheduleCheck(true));
       } else {
-        stopHourlyCheck();
+        enqueueScheduleTask(stopScheduledCheck);
       }
     }
     
     if (changes[CHECK_INTERVAL_KEY]) {
       const newIntervalHours = changes[CHECK_INTERVAL_KEY].newValue;
       console.log('[Background] Check interval changed to:', newIntervalHours, 'hours');
-      // Restart the check with new interval if notifications are enabled
-      areNotificationsEnabled().then(enabled => {
-        if (enabled && checkInterval) {
-          startHourlyCheck();
-        }
-      });
+      // Move the next run relative to the last check, keeping the current cadence
+      enqueueScheduleTask(() => rescheduleCheck(false));
     }
   }
 });
 
-// Start check on service worker startup
+// Restore the schedule on browser startup
 chrome.runtime.onStartup.addListener(() => {
-  chrome.storage.sync.get([PROFILE_STORAGE_KEY, NOTIFICATIONS_ENABLED_KEY]).then((result) => {
-    if (result[PROFILE_STORAGE_KEY] && result[NOTIFICATIONS_ENABLED_KEY] === true) {
-      startHourlyCheck();
-    }
-  });
+  enqueueScheduleTask(runCheckIfDue);
 });
 
-// Start check when extension is installed/updated
+// Restore the schedule when extension is installed/updated
 chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.sync.get([PROFILE_STORAGE_KEY, NOTIFICATIONS_ENABLED_KEY]).then((result) => {
-    if (result[PROFILE_STORAGE_KEY] && result[NOTIFICATIONS_ENABLED_KEY] === true) {
-      startHourlyCheck();
-    }
+  enqueueScheduleTask(async () => {
+    await initializeStoredDefaults();
+    await migrateSelectedProfile();
+    await runCheckIfDue();
   });
 });
 
-// Also start check immediately when background script loads
-chrome.storage.sync.get([PROFILE_STORAGE_KEY, NOTIFICATIONS_ENABLED_KEY]).then((result) => {
-  console.log('[Background] Script loaded, checking profile:', result[PROFILE_STORAGE_KEY]);
-  console.log('[Background] Notifications enabled:', result[NOTIFICATIONS_ENABLED_KEY]);
-  if (result[PROFILE_STORAGE_KEY] && result[NOTIFICATIONS_ENABLED_KEY] === true) {
-    console.log('[Background] Starting hourly check');
-    startHourlyCheck();
-  } else {
-    console.log('[Background] Not starting check - profile or notifications not enabled');
-  }
-});
-
+// Also restore the schedule whenever the service worker wakes up
+enqueueScheduleTask(runCheckIfDue);
@@ -5,22 +5,72 @@ window.TableExtensionHeaderBuilder = (function() {
 
   const Utils = window.TableExtensionUtils;
   const Sort = window.TableExtensionSort;
+  const PriorityOrder = window.TableExtensionPriorityOrder;
 
-  // Header configuration
+  // Header configuration (entries with optionalKey are API columns switched on in the popup).
+  // sortType picks the comparator (see Utils.SORT_TYPES); an ordinal column names its value list in sortOrderKey.
+  // extensionColumn marks columns the extension adds (set as data-extension-column on the <th>).
   const HEADER_CONFIG = [
-    { text: 'Client', widthPercent: '6%', widthPx: 61, ariaLabel: 'Client: activate to sort column ascending' },
-    { text: 'Journal', widthPercent: '8%', widthPx: 85, ariaLabel: 'Journal: activate to sort column ascending' },
-    { text: 'Article ID', widthPercent: '20%', widthPx: 224, ariaLabel: 'Article ID: activate to sort column ascending' },
-    { text: 'DONE BY', widthPercent: null, widthPx: 100, ariaLabel: 'DONE BY: activate to sort column ascending' },
-    { text: 'SRC', widthPercent: '5%', widthPx: 50, ariaLabel: 'SRC: activate to sort column ascending' },
-    { text: 'MSP', widthPercent: '5%', widthPx: 49, ariaLabel: 'MSP: activate to sort column ascending' },
-    { text: 'Status', widthPercent: '12%', widthPx: 128, ariaLabel: 'Status: activate to sort column ascending' },
-    { text: 'Assign Date', widthPercent: '12%', widthPx: 131, ariaLabel: 'Assign Date: activate to sort column ascending' },
-    { text: 'Due Date', widthPercent: '12%', widthPx: 131, ariaLabel: 'Due Date: activate to sort column ascending' },
-    { text: 'Priority', widthPercent: '6%', widthPx: 62, ariaLabel: 'Priority: activate to sort column ascending' },
-    { text: 'Action', widthPercent: '10%', widthPx: 249, ariaLabel: 'Action: activate to sort column ascending' }
+    { text: 'Client', widthPercent: '6%', widthPx: 61, ariaLabel: 'Client: activate to sort column ascending', sortType: 'text' },
+    { text: 'Journal', widthPercent: '8%', widthPx: 85, ariaLabel: 'Journal: activate to sort column ascending', sortType: 'text' },
+    { text: 'Article ID', widthPercent: '20%', widthPx: 224, ariaLabel: 'Article ID: activate to sort column ascending', sortType: 'natural' },
+    { text: 'DONE BY', widthPercent: null, widthPx: 100, ariaLabel: 'DONE BY: activate to sort column ascending', sortType: 'text', extensionColumn: 'doneBy' },
+    { text: 'PAGES', widthPercent: null, widthPx: 50, ariaLabel: 'PAGES: activate to sort column ascending', sortType: 'number', optionalKey: 'pages', extensionColumn: 'pages' },
+    { text: 'TIME', widthPercent: null, widthPx: 60, ariaLabel: 'TIME: activate to sort column ascending', sortType: 'number', optionalKey: 'time', extensionColumn: 'time' },
+    { text: 'COMPLETED', widthPercent: null, widthPx: 90, ariaLabel: 'COMPLETED: activate to sort column ascending', sortType: 'text', optionalKey: 'completed', extensionColumn: 'completed' },
+    { text: 'STATE', widthPercent: null, widthPx: 100, ariaLabel: 'STATE: activate to sort column ascending', sortType: 'text', extensionColumn: 'state' },
+    { text: 'SRC', widthPercent: '5%', widthPx: 50, ariaLabel: 'SRC: activate to sort column ascending', sortType: 'text' },
+    { text: 'MSP', widthPercent: '5%', widthPx: 49, ariaLabel: 'MSP: activate to sort column ascending', sortType: 'text' },
+    { text: 'Status', widthPercent: '12%', widthPx: 128, ariaLabel: 'Status: activate to sort column ascending', sortType: 'text' },
+    { text: 'Assign Date', widthPercent: '12%', widthPx: 131, ariaLabel: 'Assign Date: activate to sort column ascending', sortType: 'datetime' },
+    { text: 'Due Date', widthPercent: '12%', widthPx: 131, ariaLabel: 'Due Date: activate to sort column ascending', sortType: 'datetime' },
+    { text: 'Priority', widthPercent: '6%', widthPx: 62, ariaLabel: 'Priority: activate to sort column ascending', sortType: 'ordinal', sortOrderKey: 'priority' },
+    { text: 'Action', widthPercent: '10%', widthPx: 249, ariaLabel: 'Action: activate to sort column ascending', sortType: 'text' }
   ];
 
+  // Optional columns currently switched on
+  let enabledOptionalColumns = [];
+
+  // Value lists of the ordinal columns by sortOrderKey (Priority is edited in the popup)
+  const sortOrders = {
+    priority: PriorityOrder.DEFAULT_ORDER
+  };
+
+  /**
+   * Set which optional columns are shown
+   * @param {Array<string>} keys - optionalKey values
+   */
+  function setEnabledOptionalColumns(keys) {
+    enabledOptionalColumns = Array.isArray(keys) ? keys : [];
+  }
+
+  /**
+   * Get the header configuration of the columns currently shown
+   * @returns {Array<Object>}
+   */
+  function getActiveHeaderConfig() {
+    return HEADER_CONFIG.filter(header => !header.optionalKey || enabledOptionalColumns.includes(header.optionalKey));
+  }
+
+  /**
+   * Give each shown column the comparator of its type
+   */
+  function updateColumnComparators() {
+    Sort.setColumnComparators(getActiveHeaderConfig().map(header =>
+      Utils.getComparator(header.sortType, sortOrders[header.sortOrderKey])
+    ));
+  }
+
+  /**
+   * Set the value list of an ordinal column
+   * @param {string} key - sortOrderKey of the column (e.g. 'priority')
+   * @param {Array<string>} order - Values from first to last
+   */
+  function setSortOrder(key, order) {
+    sortOrders[key] = order;
+    updateColumnComparators();
+  }
+
   /**
    * Create a table header cell with sorting functionality
    * @param {string} text - Header text
@@ -117,13 +167,19 @@ window.TableExtensionHeaderBuilder = (function() {
     // Clear sort state when replacing header
     Sort.clearSortState();
 
+    updateColumnComparators();
+    Sort.setColumnNames(getActiveHeaderConfig().map(header => header.text));
+
     // Create and append new header cells
-    HEADER_CONFIG.forEach((header, index) => {
+    getActiveHeaderConfig().forEach((header, index) => {
       const th = createHeaderCell(header.text, header.widthPercent, header.widthPx, index, header.ariaLabel);
+      if (header.extensionColumn) {
+        th.setAttribute('data-extension-column', header.extensionColumn);
+      }
       
-      // Add click handler for sorting with callback
-      th.addEventListener('click', () => {
-        Sort.handleColumnSort(index, th, onSortCallback);
+      // Add click handler for sorting with callback (shift-click adds a sort key)
+      th.addEventListener('click', (event) => {
+        Sort.handleColumnSort(index, th, onSortCallback, event.shiftKey);
       });
       
       headerRow.appendChild(th);
@@ -136,6 +192,9 @@ window.TableExtensionHeaderBuilder = (function() {
   return {
     createHeaderCell,
     replaceTableHeader,
+    setEnabledOptionalColumns,
+    setSortOrder,
+    getActiveHeaderConfig,
     getHeaderConfig: () => HEADER_CONFIG
   };
 })();
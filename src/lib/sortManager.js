@@ -4,32 +4,98 @@ window.TableExtensionSort = (function() {
   'use strict';
 
   const Utils = window.TableExtensionUtils;
-  const SRC_COLUMN = 'SRC';
 
-  // Track current sort state: { columnIndex: 'asc' | 'desc' | null }
-  let sortState = {};
+  const MAX_SORT_KEYS = 3;
+  const TOOLBAR_ID = 'extension-sort-toolbar';
+  const ORIGINAL_INDEX_ATTR = 'data-original-index';
+
+  // Current sort keys, primary first: [{ columnIndex, direction: 'asc' | 'desc' }]
+  let sortKeys = [];
+
+  // Reorders sorted rows into pinned buckets (set by tableManager)
+  let rowArranger = rows => rows;
+
+  // Comparator per column index (set by headerBuilder from HEADER_CONFIG sortType)
+  let columnComparators = [];
+
+  // Toolbar label per column index (set by headerBuilder from HEADER_CONFIG text)
+  let columnNames = [];
+
+  // Called when the toolbar's Clear button is used (set by initializeSortToolbar)
+  let onClearSort = null;
 
   /**
-   * Get current sort state
-   * @returns {Object}
+   * Get current sort keys
+   * @returns {Array<{columnIndex: number, direction: string}>}
    */
   function getSortState() {
-    return sortState;
+    return sortKeys.slice();
   }
 
   /**
    * Clear sort state
    */
   function clearSortState() {
-    sortState = {};
+    sortKeys = [];
+    renderSortToolbar();
+  }
+
+  /**
+   * Set the function that places sorted rows into their pinned buckets
+   * @param {Function} arranger - (rows) => rows in final order
+   */
+  function setRowArranger(arranger) {
+    rowArranger = arranger;
+  }
+
+  /**
+   * Set the comparator of each column
+   * @param {Array<Function>} comparators - (valueA, valueB) => number, by column index
+   */
+  function setColumnComparators(comparators) {
+    columnComparators = comparators;
+  }
+
+  /**
+   * Set the toolbar label of each column. The live header text is not used
+   * because it picks up suffixes such as "(5 min ago)" or "Retrying (1/3)".
+   * @param {Array<string>} names - Column names, by column index
+   */
+  function setColumnNames(names) {
+    columnNames = names;
+  }
+
+  /**
+   * Add the sort order number styles once. The number is drawn from an
+   * attribute so the header text (used to find columns) stays unchanged.
+   */
+  function ensureSortStyles() {
+    if (document.getElementById('extension-sort-style')) return;
+    const style = document.createElement('style');
+    style.id = 'extension-sort-style';
+    style.textContent = `
+      .DataTables_sort_wrapper[data-sort-order]::after {
+        content: attr(data-sort-order);
+        display: inline-block;
+        margin-left: 4px;
+        padding: 0 4px;
+        border-radius: 8px;
+        background: #1565c0;
+        color: #fff;
+        font-size: 10px;
+        line-height: 14px;
+      }
+    `;
+    document.head.appendChild(style);
   }
 
   /**
    * Update sort icon based on sort state
    * @param {HTMLElement} headerCell - Header cell element
    * @param {string} direction - 'asc', 'desc', or null
+   * @param {number} [order] - Position in the sort keys (numbered when several keys are set)
    */
-  function updateSortIcon(headerCell, direction) {
+  function updateSortIcon(headerCell, direction, order) {
     const wrapper = headerCell.querySelector('.DataTables_sort_wrapper');
     if (!wrapper) return;
 
@@ -49,80 +115,146 @@ window.TableExtensionSort = (function() {
       icon.classList.add('ui-icon-carat-2-n-s');
       headerCell.removeAttribute('aria-sort');
     }
+
+    if (direction && order) {
+      wrapper.setAttribute('data-sort-order', order);
+    } else {
+      wrapper.removeAttribute('data-sort-order');
+    }
   }
 
+  /**
+   * Update every header's icon and order number from the sort keys
+   * @param {HTMLElement} table - Table element
+   */
+  function updateSortIndicators(table) {
+    ensureSortStyles();
+    const numbered = sortKeys.length > 1;
+    Utils.getHeaders(table).forEach((th, idx) => {
+      const position = sortKeys.findIndex(key => key.columnIndex === idx);
+      const key = sortKeys[position];
+      updateSortIcon(th, key ? key.direction : null, key && numbered ? position + 1 : null);
+    });
+  }
 
   /**
-   * Handle column sorting
-   * @param {number} columnIndex - Column index to sort
-   * @param {HTMLElement} headerCell - Header cell element
-   * @param {Function} onAfterSort - Callback after sorting (optional)
+   * Get the value a cell sorts by (data-sort-value when set, e.g. TIME in minutes)
+   * @param {HTMLElement} cell - Table cell
+   * @returns {string}
    */
-  function handleColumnSort(columnIndex, headerCell, onAfterSort) {
-    const table = Utils.getTable();
-    if (!table) return;
+  function getSortValue(cell) {
+    return cell.dataset.sortValue ?? cell.textContent.trim();
+  }
 
-    const rows = Array.from(Utils.getTableRows(table));
-    if (rows.length === 0) return;
+  /**
+   * Compare two rows by the sort keys in order. Empty values go last in either direction.
+   * @param {HTMLElement} a - Row
+   * @param {HTMLElement} b - Row
+   * @returns {number}
+   */
+  function compareRows(a, b) {
+    for (const key of sortKeys) {
+      const cellA = a.cells[key.columnIndex];
+      const cellB = b.cells[key.columnIndex];
+      if (!cellA || !cellB) continue;
 
-    // Get current sort direction for this column
-    const currentDirection = sortState[columnIndex];
-    let newDirection = 'asc';
+      const valueA = getSortValue(cellA);
+      const valueB = getSortValue(cellB);
+      const isEmptyA = Utils.isEmptySortValue(valueA);
+      const isEmptyB = Utils.isEmptySortValue(valueB);
+      if (isEmptyA || isEmptyB) {
+        if (isEmptyA !== isEmptyB) return isEmptyA ? 1 : -1;
+        continue;
+      }
 
-    // Toggle: null/desc -> asc, asc -> desc
-    if (currentDirection === 'asc') {
-      newDirection = 'desc';
+      const compare = columnComparators[key.columnIndex] || Utils.getComparator();
+      const comparison = compare(valueA, valueB);
+      if (comparison !== 0) {
+        return key.direction === 'asc' ? comparison : -comparison;
+      }
     }
+    return 0;
+  }
 
-    // Clear sort icons from all headers
-    const headers = Utils.getHeaders(table);
-    headers.forEach((th, idx) => {
-      if (idx !== columnIndex) {
-        updateSortIcon(th, null);
-        sortState[idx] = null;
-      }
-    });
+  /**
+   * Remember the current row order so clearing the sort can put it back
+   * @param {Array<HTMLElement>} rows - Rows in their current order
+   */
+  function recordOriginalOrder(rows) {
+    rows.forEach((row, index) => row.setAttribute(ORIGINAL_INDEX_ATTR, index));
+  }
 
-    // Get SRC column index for TEX detection
-    const srcColumnIndex = Utils.findColumnIndex(table, SRC_COLUMN);
+  /**
+   * Put rows back in the order recorded before the first sort key was set
+   * (rows added since then go last)
+   * @param {HTMLElement} table - Table element
+   */
+  function restoreOriginalOrder(table) {
+    const tbody = table.querySelector('tbody');
+    if (!tbody) return;
 
-    // Sort rows - TEX rows always go to bottom
-    rows.sort((a, b) => {
-      const isATex = Utils.isTexRow(a, srcColumnIndex);
-      const isBTex = Utils.isTexRow(b, srcColumnIndex);
+    const getIndex = row => {
+      const index = parseInt(row.getAttribute(ORIGINAL_INDEX_ATTR), 10);
+      return isNaN(index) ? Infinity : index;
+    };
+    const rows = Array.from(Utils.getTableRows(table))
+      .sort((a, b) => getIndex(a) - getIndex(b));
+    rowArranger(rows).forEach(row => tbody.appendChild(row));
+  }
 
-      // If one is TEX and the other is not, TEX always goes to bottom
-      if (isATex && !isBTex) {
-        return 1; // A (TEX) goes after B
-      }
-      if (!isATex && isBTex) {
-        return -1; // A goes before B (TEX)
-      }
-      // If both are TEX or both are not TEX, sort normally
+  /**
+   * Work out the sort keys after a header click
+   * @param {number} columnIndex - Clicked column
+   * @param {boolean} isAdditive - Shift-click: add or flip a secondary key
+   * @returns {Array<{columnIndex: number, direction: string}>}
+   */
+  function getNextSortKeys(columnIndex, isAdditive) {
+    const existing = sortKeys.find(key => key.columnIndex === columnIndex);
+    // Toggle: null/desc -> asc, asc -> desc
+    const direction = existing && existing.direction === 'asc' ? 'desc' : 'asc';
 
-      const cellsA = Array.from(a.querySelectorAll('td'));
-      const cellsB = Array.from(b.querySelectorAll('td'));
+    if (!isAdditive) {
+      return [{ columnIndex, direction }];
+    }
+    if (existing) {
+      return sortKeys.map(key => (key === existing ? { columnIndex, direction } : key));
+    }
+    // A key past the limit replaces the last one
+    return [...sortKeys.slice(0, MAX_SORT_KEYS - 1), { columnIndex, direction }];
+  }
 
-      if (cellsA.length <= columnIndex || cellsB.length <= columnIndex) {
-        return 0;
-      }
+  /**
+   * Handle column sorting
+   * @param {number} columnIndex - Column index to sort
+   * @param {HTMLElement} headerCell - Header cell element
+   * @param {Function} onAfterSort - Callback after sorting (optional)
+   * @param {boolean} [isAdditive] - Keep the current keys and add this column (shift-click)
+   */
+  function handleColumnSort(columnIndex, headerCell, onAfterSort, isAdditive = false) {
+    const table = Utils.getTable();
+    if (!table) return;
 
-      const valueA = cellsA[columnIndex].textContent.trim();
-      const valueB = cellsB[columnIndex].textContent.trim();
+    const rows = Array.from(Utils.getTableRows(table));
+    if (rows.length === 0) return;
 
-      const comparison = Utils.compareCellValues(valueA, valueB);
-      return newDirection === 'asc' ? comparison : -comparison;
-    });
+    // The first key starts from the page's own order; keep it for Clear
+    if (sortKeys.length === 0) {
+      recordOriginalOrder(rows);
+    }
+    sortKeys = getNextSortKeys(columnIndex, isAdditive);
+
+    // Sort rows, then keep pinned buckets in place (the sort applies inside each bucket)
+    rows.sort(compareRows);
 
     // Re-append sorted rows
     const tbody = table.querySelector('tbody');
     if (tbody) {
-      rows.forEach(row => tbody.appendChild(row));
+      rowArranger(rows).forEach(row => tbody.appendChild(row));
     }
 
-    // Update sort state and icon
-    sortState[columnIndex] = newDirection;
-    updateSortIcon(headerCell, newDirection);
+    // Update icons, order numbers and the toolbar
+    updateSortIndicators(table);
+    renderSortToolbar();
 
     // Call callback if provided
     if (onAfterSort) {
@@ -132,11 +264,93 @@ window.TableExtensionSort = (function() {
     }
   }
 
+  /**
+   * Drop every sort key, put the rows back in their unsorted order and reset the header icons
+   */
+  function clearSort() {
+    sortKeys = [];
+    const table = Utils.getTable();
+    if (table) {
+      restoreOriginalOrder(table);
+      updateSortIndicators(table);
+    }
+    renderSortToolbar();
+    if (onClearSort) {
+      onClearSort();
+    }
+  }
+
+  /**
+   * Show the sort keys in the toolbar (hidden when there are none)
+   */
+  function renderSortToolbar() {
+    const toolbar = document.getElementById(TOOLBAR_ID);
+    if (!toolbar) return;
+
+    const label = toolbar.querySelector('[data-sort-keys]');
+    label.textContent = 'Sorted by: ' + sortKeys.map((key, index) => {
+      const name = columnNames[key.columnIndex] || `Column ${key.columnIndex + 1}`;
+      return `${index + 1}. ${name} ${key.direction === 'asc' ? '▲' : '▼'}`;
+    }).join(', ');
+
+    toolbar.style.display = sortKeys.length > 0 ? 'inline-block' : 'none';
+  }
+
+  /**
+   * Add the sort toolbar next to the search box
+   * @param {Function} onClear - Called after the Clear button restores the unsorted order
+   */
+  function initializeSortToolbar(onClear) {
+    onClearSort = onClear;
+    if (document.getElementById(TOOLBAR_ID)) {
+      renderSortToolbar();
+      return;
+    }
+    const filterDiv = document.querySelector('#article_data_wrapper .dataTables_filter');
+    if (!filterDiv) return;
+
+    const toolbar = document.createElement('span');
+    toolbar.id = TOOLBAR_ID;
+    toolbar.title = 'Shift-click a header to add a sort key';
+    toolbar.style.cssText = `
+      margin-left: 10px;
+      padding: 2px 6px;
+      border: 1px solid #ccc;
+      border-radius: 4px;
+      background: #f5f5f5;
+      font-size: 12px;
+      vertical-align: middle;
+    `;
+
+    const label = document.createElement('span');
+    label.setAttribute('data-sort-keys', '');
+    toolbar.appendChild(label);
+
+    const clearButton = document.createElement('button');
+    clearButton.type = 'button';
+    clearButton.textContent = 'Clear';
+    clearButton.style.cssText = `
+      margin-left: 6px;
+      font-size: 11px;
+      cursor: pointer;
+    `;
+    clearButton.addEventListener('click', clearSort);
+    toolbar.appendChild(clearButton);
+
+    filterDiv.appendChild(toolbar);
+    renderSortToolbar();
+  }
+
   return {
+    MAX_SORT_KEYS,
     getSortState,
     clearSortState,
+    setRowArranger,
+    setColumnComparators,
+    setColumnNames,
     updateSortIcon,
-    handleColumnSort
+    handleColumnSort,
+    clearSort,
+    initializeSortToolbar
   };
 })();
-
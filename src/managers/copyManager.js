@@ -5,7 +5,9 @@ window.TableExtensionCopy = (function() {
 
   const Utils = window.TableExtensionUtils;
   const API = window.TableExtensionAPI;
+  const Names = window.TableExtensionNames;
   const ARTICLE_ID_COLUMN = 'Article ID';
+  const COLLAPSED_GROUP_CLASS = 'extension-group-collapsed';
   const DONE_BY_COLUMN = 'DONE BY';
 
   /**
@@ -27,15 +29,15 @@ window.TableExtensionCopy = (function() {
     const data = [];
 
     rows.forEach((row) => {
-      // Only include visible rows (not filtered out)
-      if (row.style.display !== 'none') {
+      // Only include visible rows (not filtered out or inside a collapsed group)
+      if (row.style.display !== 'none' && !row.classList.contains(COLLAPSED_GROUP_CLASS)) {
         const articleId = Utils.getCellValue(row, articleIdIndex);
         const doneBy = Utils.getCellValue(row, doneByIndex);
         
         if (articleId) {
           data.push({
             articleId: articleId.trim(),
-            doneBy: doneBy.trim() || '-'
+            doneBy: Names.resolveName(doneBy) || '-'
           });
         }
       }
@@ -0,0 +1,188 @@
+// Data Quality Manager - Shows webhook rows that failed validation - Global namespace
+
+window.TableExtensionDataQuality = (function() {
+  'use strict';
+
+  const API = window.TableExtensionAPI;
+  const BUTTON_ID = 'data-quality-btn';
+  const PANEL_ID = 'data-quality-panel';
+
+  /**
+   * Create a table cell
+   * @param {string} tag - 'td' or 'th'
+   * @param {*} value - Cell content
+   * @returns {HTMLElement}
+   */
+  function createCell(tag, value) {
+    const cell = document.createElement(tag);
+    cell.textContent = value === undefined ? '(missing)' : String(value);
+    cell.style.cssText = 'padding: 4px 8px; border-bottom: 1px solid #eee; text-align: left; vertical-align: top;';
+    return cell;
+  }
+
+  /**
+   * Format the report as tab-separated text for the sheet owner
+   * @param {DataQualityReport} report
+   * @returns {string}
+   */
+  function formatReport(report) {
+    const lines = ['Row\tArticle number\tField\tValue\tProblem'];
+    report.issues.forEach(issue => {
+      lines.push([issue.rowNumber ?? '', issue.articleId, issue.field, issue.value ?? '', issue.message].join('\t'));
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Close the report panel
+   */
+  function closePanel() {
+    const panel = document.getElementById(PANEL_ID);
+    if (panel) {
+      panel.remove();
+    }
+  }
+
+  /**
+   * Open the report panel listing every issue with its sheet row
+   */
+  function openPanel() {
+    closePanel();
+    const report = API.getDataQualityReport();
+    if (!report) return;
+
+    const panel = document.createElement('div');
+    panel.id = PANEL_ID;
+    panel.style.cssText = `
+      position: fixed;
+      top: 60px;
+      right: 20px;
+      width: 640px;
+      max-height: 70vh;
+      overflow-y: auto;
+      background: white;
+      border: 1px solid #ccc;
+      border-radius: 6px;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+      padding: 12px 16px;
+      z-index: 10001;
+      font-size: 12px;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 8px;';
+
+    const title = document.createElement('strong');
+    title.style.flex = '1';
+    const dropped = report.totalRows - report.validRows;
+    title.textContent = `Data quality: ${report.issues.length} issues in ${report.totalRows} rows (${dropped} dropped)`;
+    header.appendChild(title);
+
+    const copyButton = document.createElement('button');
+    copyButton.textContent = 'Copy';
+    copyButton.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(formatReport(report));
+        copyButton.textContent = 'Copied';
+      } catch (error) {
+        copyButton.textContent = '✗ Failed';
+      }
+    });
+    header.appendChild(copyButton);
+
+    const closeButton = document.createElement('button');
+    closeButton.innerHTML = '&times;';
+    closeButton.addEventListener('click', closePanel);
+    header.appendChild(closeButton);
+
+    panel.appendChild(header);
+
+    const table = document.createElement('table');
+    table.style.cssText = 'width: 100%; border-collapse: collapse;';
+    const headRow = document.createElement('tr');
+    ['Row', 'Article number', 'Field', 'Value', 'Problem'].forEach(text => {
+      headRow.appendChild(createCell('th', text));
+    });
+    table.appendChild(headRow);
+
+    // Sheet order, so the rows can be fixed top to bottom
+    const issues = [...report.issues].sort((a, b) => (a.rowNumber ?? Infinity) - (b.rowNumber ?? Infinity));
+    issues.forEach(issue => {
+      const row = document.createElement('tr');
+      if (issue.severity === 'error') {
+        row.style.background = '#fdecea';
+      }
+      row.appendChild(createCell('td', issue.rowNumber ?? '-'));
+      row.appendChild(createCell('td', issue.articleId || '-'));
+      row.appendChild(createCell('td', issue.field));
+      row.appendChild(createCell('td', issue.value));
+      row.appendChild(createCell('td', issue.message));
+      table.appendChild(row);
+    });
+
+    panel.appendChild(table);
+    document.body.appendChild(panel);
+  }
+
+  /**
+   * Show or hide the data-quality button for the current report
+   */
+  function updateButton() {
+    const report = API.getDataQualityReport();
+    const existingButton = document.getElementById(BUTTON_ID);
+
+    if (!report || report.issues.length === 0) {
+      if (existingButton) {
+        existingButton.remove();
+      }
+      closePanel();
+      return;
+    }
+
+    const button = existingButton || document.createElement('button');
+    button.id = BUTTON_ID;
+    button.textContent = `⚠ ${report.issues.length} data issues`;
+    button.title = 'Rows in the sheet that failed validation';
+
+    if (!existingButton) {
+      button.style.cssText = `
+        padding: 4px 12px;
+        margin: 0;
+        margin-left: 10px;
+        background: #f39c12;
+        color: white;
+        border: none;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 13px;
+        font-weight: 600;
+        display: inline-block;
+        vertical-align: middle;
+        height: 28px;
+        line-height: 20px;
+      `;
+      button.addEventListener('click', () => {
+        if (document.getElementById(PANEL_ID)) {
+          closePanel();
+        } else {
+          openPanel();
+        }
+      });
+
+      const filterDiv = document.querySelector('#article_data_wrapper .dataTables_filter');
+      if (filterDiv) {
+        filterDiv.appendChild(button);
+      }
+    } else if (document.getElementById(PANEL_ID)) {
+      // Keep an open panel in sync with refreshed data
+      openPanel();
+    }
+  }
+
+  // Public API
+  return {
+    updateButton,
+    openPanel,
+    closePanel
+  };
+})();
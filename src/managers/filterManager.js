@@ -1,13 +1,19 @@
-// Filter Manager - Handles filtering of TEX rows - Global namespace
+// Filter Manager - Handles filtering of TEX rows and profile rows - Global namespace
 
 window.TableExtensionFilter = (function() {
   'use strict';
 
   const Utils = window.TableExtensionUtils;
+  const Names = window.TableExtensionNames;
+  const Group = window.TableExtensionGroup;
   const SRC_COLUMN = 'SRC';
   const TEX_VALUE = 'TEX';
+  const DONE_BY_COLUMN = 'DONE BY';
+  const PROFILE_FILTER_BUTTON_ID = 'profile-filter-btn';
   let isFilterEnabled = true; // Default enabled (hide TEX rows)
   let filterButton = null; // Store button reference
+  let profileFilter = null; // Show only this DONE BY profile when set
+  let drawHookInstalled = false;
 
   /**
    * Get filter state
@@ -79,7 +85,7 @@ window.TableExtensionFilter = (function() {
   }
 
   /**
-   * Apply filter to table rows - Now shows all rows (no filtering)
+   * Apply filter to table rows - shows all rows unless a profile filter is set
    */
   function applyFilter() {
     const table = Utils.getTable();
@@ -91,11 +97,15 @@ window.TableExtensionFilter = (function() {
     }
 
     const rows = Utils.getTableRows(table);
+    const doneByIndex = profileFilter ? Utils.findColumnIndex(table, DONE_BY_COLUMN) : -1;
 
-    // Show all rows - no filtering
     rows.forEach((row) => {
-      row.style.display = '';
+      const isOtherProfile = doneByIndex !== -1 && !Names.namesMatch(Utils.getCellValue(row, doneByIndex), profileFilter);
+      row.style.display = isOtherProfile ? 'none' : '';
     });
+
+    // Group headers count only the rows left visible
+    Group.applyGrouping();
     
     // Update DataTables if available
     updateDataTables();
@@ -206,6 +216,96 @@ window.TableExtensionFilter = (function() {
     return button;
   }
 
+  /**
+   * Get the active profile filter
+   * @returns {string|null}
+   */
+  function getProfileFilter() {
+    return profileFilter;
+  }
+
+  /**
+   * Show only rows done by a profile (null shows all rows)
+   * @param {string|null} profile - Profile name
+   */
+  function setProfileFilter(profile) {
+    profileFilter = profile || null;
+    applyFilter();
+    updateProfileFilterButton();
+  }
+
+  /**
+   * Show, update or remove the "Showing X only" button that clears the profile filter
+   */
+  function updateProfileFilterButton() {
+    const existingButton = document.getElementById(PROFILE_FILTER_BUTTON_ID);
+
+    if (!profileFilter) {
+      if (existingButton) {
+        existingButton.remove();
+      }
+      return;
+    }
+
+    const button = existingButton || document.createElement('button');
+    button.id = PROFILE_FILTER_BUTTON_ID;
+    button.textContent = `Showing ${profileFilter} only ✕`;
+    button.title = 'Show all rows';
+
+    if (!existingButton) {
+      button.style.cssText = `
+        padding: 4px 12px;
+        margin: 0;
+        margin-left: 10px;
+        background: #667eea;
+        color: white;
+        border: none;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 13px;
+        font-weight: 600;
+        display: inline-block;
+        vertical-align: middle;
+        height: 28px;
+        line-height: 20px;
+      `;
+      button.addEventListener('click', () => {
+        setProfileFilter(null);
+      });
+
+      const filterDiv = document.querySelector('#article_data_wrapper .dataTables_filter');
+      if (filterDiv) {
+        filterDiv.appendChild(button);
+      }
+    }
+  }
+
+  /**
+   * Re-apply the filter after every DataTables redraw - called once
+   */
+  function setupDataTablesFilterHook() {
+    if (drawHookInstalled) return;
+    if (!window.jQuery || !window.jQuery.fn.dataTable) return;
+
+    try {
+      const dataTable = window.jQuery('#article_data').DataTable();
+      if (!dataTable) return;
+
+      dataTable.off('.profilefilter');
+      dataTable.on('draw.profilefilter', function() {
+        if (profileFilter) {
+          requestAnimationFrame(() => {
+            applyFilter();
+          });
+        }
+      });
+
+      drawHookInstalled = true;
+    } catch (e) {
+      // DataTables not available
+    }
+  }
+
   /**
    * Initialize filter - no longer creates button, just ensures all rows are visible
    */
@@ -218,6 +318,7 @@ window.TableExtensionFilter = (function() {
 
     // Ensure all rows are visible (no filtering)
     applyFilter();
+    setupDataTablesFilterHook();
   }
 
   // Public API
@@ -228,6 +329,8 @@ window.TableExtensionFilter = (function() {
     createFilterButton,
     initializeFilter,
     updateButtonText,
-    countTexRows
+    countTexRows,
+    getProfileFilter,
+    setProfileFilter
   };
 })();
@@ -0,0 +1,247 @@
+// Group Manager - Groups table rows under collapsible header rows - Global namespace
+
+window.TableExtensionGroup = (function() {
+  'use strict';
+
+  const Utils = window.TableExtensionUtils;
+  const Names = window.TableExtensionNames;
+  const Table = window.TableExtensionTable;
+  const ArticleState = window.TableExtensionArticleState;
+
+  const GROUP_BY_KEY = 'groupByColumn'; // local: column name, or '' for no grouping
+  const GROUP_COLUMNS = ['DONE BY', 'Client', 'Journal', 'SRC', 'Status'];
+  const SELECT_ID = 'group-by-select';
+  const HEADER_CLASS = 'extension-group-header';
+  const COLLAPSED_CLASS = 'extension-group-collapsed';
+  const BLANK_GROUP = '(blank)';
+
+  let groupByColumn = '';
+  // Collapsed group keys, kept while the page is open
+  const collapsedGroups = new Set();
+
+  /**
+   * Add the group row styles once. Collapsed rows are hidden with a class so the
+   * filters' inline display stays untouched.
+   */
+  function ensureGroupStyles() {
+    if (document.getElementById('extension-group-style')) return;
+    const style = document.createElement('style');
+    style.id = 'extension-group-style';
+    style.textContent = `
+      tr.${COLLAPSED_CLASS} {
+        display: none !important;
+      }
+      tr.${HEADER_CLASS} td {
+        background: #e8eaf6 !important;
+        font-weight: 600;
+        cursor: pointer;
+        user-select: none;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Get the group key of a cell value
+   * @param {string} text - Cell text
+   * @returns {string}
+   */
+  function getGroupKey(text) {
+    if (groupByColumn === 'DONE BY') {
+      return Names.resolveName(text) || '-';
+    }
+    return text.trim() || BLANK_GROUP;
+  }
+
+  /**
+   * Remove the group header rows and un-hide collapsed rows
+   * @param {HTMLElement} table - Table element
+   */
+  function removeGroupRows(table) {
+    table.querySelectorAll(`tbody tr.${HEADER_CLASS}`).forEach(row => row.remove());
+    table.querySelectorAll(`tbody tr.${COLLAPSED_CLASS}`).forEach(row => row.classList.remove(COLLAPSED_CLASS));
+  }
+
+  /**
+   * Check whether the profile filter hides a row (see filterManager.applyFilter)
+   * @param {HTMLElement} row - Table row
+   * @returns {boolean}
+   */
+  function isFilteredOut(row) {
+    return row.style.display === 'none';
+  }
+
+  /**
+   * Add up a group's rows, leaving out rows hidden by the profile filter
+   * @param {Array<HTMLElement>} rows - Rows in the group
+   * @param {number} articleIdIndex - Article ID column index
+   * @returns {{count: number, pages: number, uploaded: number, notUploaded: number}}
+   */
+  function summarizeGroup(rows, articleIdIndex) {
+    const visibleRows = rows.filter(row => !isFilteredOut(row));
+    const summary = { count: visibleRows.length, pages: 0, uploaded: 0, notUploaded: 0 };
+    visibleRows.forEach(row => {
+      const articleId = articleIdIndex !== -1 ? Utils.getCellValue(row, articleIdIndex) : '';
+      const entry = articleId ? Table.getLatestEntry(articleId) : null;
+      if (entry && typeof entry.pages === 'number') {
+        summary.pages += entry.pages;
+      }
+
+      // The STATE cell already holds the classification (see articleState.js)
+      const state = row.querySelector('td[data-state]')?.dataset.state;
+      if (state && ArticleState.isUploaded(state)) {
+        summary.uploaded++;
+      } else {
+        summary.notUploaded++;
+      }
+    });
+    return summary;
+  }
+
+  /**
+   * Create a group header row
+   * @param {string} key - Group key
+   * @param {Object} summary - See summarizeGroup
+   * @param {number} columnCount - Columns to span
+   * @returns {HTMLElement}
+   */
+  function createHeaderRow(key, summary, columnCount) {
+    const row = document.createElement('tr');
+    row.className = HEADER_CLASS;
+    row.setAttribute('data-group-header', key);
+
+    const cell = document.createElement('td');
+    cell.colSpan = columnCount;
+    const arrow = collapsedGroups.has(key) ? '▶' : '▼';
+    const files = `${summary.count} file${summary.count !== 1 ? 's' : ''}`;
+    cell.textContent = `${arrow} ${groupByColumn}: ${key} · ${files} · ${summary.pages} pages · ` +
+      `${summary.uploaded} uploaded / ${summary.notUploaded} not uploaded`;
+    row.appendChild(cell);
+
+    row.addEventListener('click', () => {
+      if (collapsedGroups.has(key)) {
+        collapsedGroups.delete(key);
+      } else {
+        collapsedGroups.add(key);
+      }
+      applyGrouping();
+    });
+    return row;
+  }
+
+  /**
+   * Group the rows under header rows. Groups follow the current order (the first
+   * row of each group decides where it goes) and rows keep their order inside a
+   * group, so column sorts and pinned buckets apply within each group.
+   * Groups whose rows are all filtered out get no header.
+   * Called after every redraw and sort (see tableManager.applyTableOrder) and
+   * whenever the profile filter changes.
+   */
+  function applyGrouping() {
+    const table = Utils.getTable();
+    if (!table) return;
+    const tbody = table.querySelector('tbody');
+    if (!tbody) return;
+
+    removeGroupRows(table);
+
+    const columnIndex = groupByColumn ? Utils.findColumnIndex(table, groupByColumn) : -1;
+    if (columnIndex === -1) return;
+
+    ensureGroupStyles();
+    const articleIdIndex = Utils.findColumnIndex(table, 'Article ID');
+    const columnCount = Utils.getHeaders(table).length;
+
+    // DataTables' "No data" row has a single cell; leave it alone
+    const rows = Array.from(Utils.getTableRows(table)).filter(row => row.cells.length > columnIndex);
+    const groups = new Map();
+    rows.forEach(row => {
+      const key = getGroupKey(Utils.getCellValue(row, columnIndex));
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(row);
+    });
+
+    const fragment = document.createDocumentFragment();
+    groups.forEach((groupRows, key) => {
+      const summary = summarizeGroup(groupRows, articleIdIndex);
+      if (summary.count > 0) {
+        fragment.appendChild(createHeaderRow(key, summary, columnCount));
+      }
+      const isCollapsed = collapsedGroups.has(key);
+      groupRows.forEach(row => {
+        row.classList.toggle(COLLAPSED_CLASS, isCollapsed);
+        fragment.appendChild(row);
+      });
+    });
+    tbody.appendChild(fragment);
+  }
+
+  /**
+   * Set the grouping column and regroup
+   * @param {string} column - One of GROUP_COLUMNS, or '' for none
+   */
+  async function setGroupBy(column) {
+    groupByColumn = GROUP_COLUMNS.includes(column) ? column : '';
+    collapsedGroups.clear();
+    applyGrouping();
+    try {
+      await chrome.storage.local.set({ [GROUP_BY_KEY]: groupByColumn });
+    } catch (error) {
+      // Grouping still applies for this page
+    }
+  }
+
+  /**
+   * Load the saved grouping column
+   * @returns {Promise<void>}
+   */
+  async function loadGroupBy() {
+    try {
+      const result = await chrome.storage.local.get([GROUP_BY_KEY]);
+      groupByColumn = GROUP_COLUMNS.includes(result[GROUP_BY_KEY]) ? result[GROUP_BY_KEY] : '';
+    } catch (error) {
+      groupByColumn = '';
+    }
+  }
+
+  /**
+   * Add the "Group by" select next to the search box
+   */
+  function initializeGroupSelect() {
+    if (document.getElementById(SELECT_ID)) return;
+    const filterDiv = document.querySelector('#article_data_wrapper .dataTables_filter');
+    if (!filterDiv) return;
+
+    const select = document.createElement('select');
+    select.id = SELECT_ID;
+    select.title = 'Group rows';
+    select.style.cssText = `
+      margin-left: 10px;
+      height: 28px;
+      vertical-align: middle;
+      font-size: 13px;
+    `;
+    [{ value: '', text: 'No grouping' }, ...GROUP_COLUMNS.map(column => ({ value: column, text: `Group by ${column}` }))]
+      .forEach(option => {
+        const element = document.createElement('option');
+        element.value = option.value;
+        element.textContent = option.text;
+        select.appendChild(element);
+      });
+    select.value = groupByColumn;
+    select.addEventListener('change', () => {
+      setGroupBy(select.value);
+    });
+
+    filterDiv.appendChild(select);
+  }
+
+  return {
+    loadGroupBy,
+    initializeGroupSelect,
+    setGroupBy,
+    applyGrouping
+  };
+})();
@@ -4,6 +4,8 @@ window.TableExtensionPastDue = (function() {
   'use strict';
 
   const Utils = window.TableExtensionUtils;
+  const Names = window.TableExtensionNames;
+  const ArticleState = window.TableExtensionArticleState;
 
   /**
    * Check if date is yesterday or older (not today)
@@ -113,13 +115,13 @@ window.TableExtensionPastDue = (function() {
 
       if (actionIndex !== -1 && cells.length > actionIndex) {
         const actionText = cells[actionIndex]?.textContent.trim() || '';
-        if (actionText.includes('Pending QA Validation') || actionText.includes('QA Validation')) {
+        if (ArticleState.isUploaded(ArticleState.classifyAction(actionText))) {
           return;
         }
       }
 
       const assignDateText = cells[assignDateIndex]?.textContent.trim() || '';
-      const doneBy = cells[doneByIndex]?.textContent.trim() || '-';
+      const doneBy = Names.resolveName(cells[doneByIndex]?.textContent) || '-';
       const articleId = articleIdIndex !== -1 ? (cells[articleIdIndex]?.textContent.trim() || '') : '';
 
       if (!assignDateText) return;
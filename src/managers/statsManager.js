@@ -5,71 +5,37 @@ window.TableExtensionStats = (function() {
 
   const Utils = window.TableExtensionUtils;
   const API = window.TableExtensionAPI;
+  const Names = window.TableExtensionNames;
+  const Assignments = window.TableExtensionAssignments;
+  const ArticleState = window.TableExtensionArticleState;
+  const Table = window.TableExtensionTable;
+
+  const PERIOD_KEY = 'statsPeriodDays'; // local: 1 = today, otherwise the last N days
+  const PERIOD_OPTIONS = [
+    { days: 1, label: 'Today' },
+    { days: 7, label: '7 days' },
+    { days: 30, label: '30 days' },
+    { days: 90, label: '90 days' }
+  ];
 
   /**
-   * Get portal article IDs and pending QA article IDs
-   * @returns {{portalArticleIds: Set, pendingQAArticleIds: Set}}
-   */
-  function getPortalArticleData() {
-    const table = Utils.getTable();
-    const portalArticleIds = new Set();
-    const pendingQAArticleIds = new Set();
-
-    if (!table) {
-      return { portalArticleIds, pendingQAArticleIds };
-    }
-
-    const articleIdIndex = Utils.findColumnIndex(table, 'Article ID');
-    const actionIndex = Utils.findColumnIndex(table, 'Action');
-
-    if (articleIdIndex === -1) {
-      return { portalArticleIds, pendingQAArticleIds };
-    }
-
-    const rows = Utils.getTableRows(table);
-    rows.forEach(row => {
-      const articleId = Utils.getCellValue(row, articleIdIndex).trim();
-      if (articleId) {
-        portalArticleIds.add(articleId);
-
-        if (actionIndex !== -1) {
-          const cells = Array.from(row.querySelectorAll('td'));
-          const actionCell = cells[actionIndex];
-          if (actionCell) {
-            const actionText = actionCell.textContent.trim();
-            if (actionText.toLowerCase().includes('pending qa validation')) {
-              pendingQAArticleIds.add(articleId);
-            }
-          }
-        }
-      }
-    });
-
-    return { portalArticleIds, pendingQAArticleIds };
-  }
-
-  /**
-   * Get today's person data from API
-   * @param {string} todayStr - Today's date string
+   * Get person data for a period. Each article counts once, for its current
+   * owner on the date of its current assignment (see assignments.js).
+   * @param {Array<Object>} currentItems - Current API row per article
+   * @param {Date} fromDate - First day of the period (midnight)
    * @returns {Object} - Person data with article IDs and counts
    */
-  function getTodayPersonData(todayStr) {
-    const apiData = API.getApiResponseData();
-    if (!apiData || !Array.isArray(apiData)) {
-      return {};
-    }
-
+  function getPersonData(currentItems, fromDate) {
     const personData = {};
 
-    apiData.forEach(item => {
+    currentItems.forEach(item => {
       const itemDate = Utils.parseDateString(item.Date);
       if (!itemDate) return;
 
-      const itemDateStr = Utils.formatDate(itemDate);
-      const doneBy = item['Done by'] || '-';
+      const doneBy = Names.resolveName(item['Done by']) || '-';
       const articleNumber = item['Article number'] || '';
 
-      if (itemDateStr === todayStr && articleNumber) {
+      if (itemDate >= fromDate && articleNumber) {
         if (!personData[doneBy]) {
           personData[doneBy] = {
             articleIds: new Set(),
@@ -88,53 +54,36 @@ window.TableExtensionStats = (function() {
    * Get article ID breakdown for tooltip
    * @param {string} name - Person name
    * @param {Object} personData - Person data object
-   * @param {Set} portalArticleIds - Portal article IDs
-   * @param {Set} pendingQAArticleIds - Pending QA article IDs
+   * @param {Map<string, string>} articleStates - Article ID -> state (see articleState.js)
    * @returns {string}
    */
-  function getArticleIdBreakdown(name, personData, portalArticleIds, pendingQAArticleIds) {
+  function getArticleIdBreakdown(name, personData, articleStates) {
     const data = personData[name];
     if (!data) return '';
 
-    const uploaded = [];
-    const notUploaded = [];
-
-    data.articleIds.forEach(articleId => {
-      const isUploaded = !portalArticleIds.has(articleId) || pendingQAArticleIds.has(articleId);
-      if (isUploaded) {
-        uploaded.push(articleId);
-      } else {
-        notUploaded.push(articleId);
-      }
-    });
-
-    uploaded.sort();
-    notUploaded.sort();
-
+    // Grouped by state: uploaded, pending QA, not uploaded, unassigned
+    const order = [ArticleState.UPLOADED, ArticleState.PENDING_QA, ArticleState.NOT_UPLOADED, ArticleState.UNASSIGNED];
+    const articleIds = Array.from(data.articleIds).sort();
     const parts = [];
-    uploaded.forEach(id => {
-      parts.push(`${id}: UPLOADED`);
-    });
-    notUploaded.forEach(id => {
-      parts.push(`${id}: NOT UPLOADED`);
+    order.forEach(state => {
+      articleIds
+        .filter(articleId => articleStates.get(articleId) === state)
+        .forEach(articleId => parts.push(`${articleId}: ${ArticleState.LABELS[state].toUpperCase()}`));
     });
 
     return parts.join('\n');
   }
 
   /**
-   * Calculate uploaded count for a person
+   * Calculate uploaded count for a person (pending QA counts as uploaded)
    * @param {Object} data - Person data
-   * @param {Set} portalArticleIds - Portal article IDs
-   * @param {Set} pendingQAArticleIds - Pending QA article IDs
+   * @param {Map<string, string>} articleStates - Article ID -> state
    * @returns {number}
    */
-  function calculateUploadedCount(data, portalArticleIds, pendingQAArticleIds) {
+  function calculateUploadedCount(data, articleStates) {
     let uploadedCount = 0;
     data.articleIds.forEach(articleId => {
-      if (!portalArticleIds.has(articleId)) {
-        uploadedCount++;
-      } else if (pendingQAArticleIds.has(articleId)) {
+      if (ArticleState.isUploaded(articleStates.get(articleId))) {
         uploadedCount++;
       }
     });
@@ -197,21 +146,88 @@ window.TableExtensionStats = (function() {
   }
 
   /**
-   * Display today's stats in the right section
+   * Get the selected stats period
+   * @returns {Promise<number>} Days (1 = today)
+   */
+  async function getPeriodDays() {
+    try {
+      const result = await chrome.storage.local.get([PERIOD_KEY]);
+      const days = result[PERIOD_KEY];
+      return PERIOD_OPTIONS.some(option => option.days === days) ? days : 1;
+    } catch (error) {
+      return 1;
+    }
+  }
+
+  /**
+   * Get the current API row per article for a period. Periods longer than the
+   * webhook's five days are read from the worker's archive.
+   * @param {number} periodDays - Days (1 = today)
+   * @param {Date} fromDate - First day of the period
+   * @returns {Promise<Array<Object>>}
+   */
+  async function getPeriodItems(periodDays, fromDate) {
+    if (periodDays === 1) {
+      return API.getCurrentAssignments();
+    }
+    const items = await API.fetchRange(fromDate, null);
+    return Assignments.getCurrentItems(items);
+  }
+
+  /**
+   * Create the period selector shown in front of the stats
+   * @param {number} periodDays - Selected period
+   * @param {Function} showToast - Toast notification function
+   * @returns {HTMLSelectElement}
+   */
+  function createPeriodSelect(periodDays, showToast) {
+    const select = document.createElement('select');
+    select.title = 'Stats period';
+    select.style.cssText = 'font-size: 11px; margin-left: 4px; padding: 0 2px;';
+    PERIOD_OPTIONS.forEach(option => {
+      const element = document.createElement('option');
+      element.value = option.days;
+      element.textContent = option.label;
+      select.appendChild(element);
+    });
+    select.value = periodDays;
+
+    select.addEventListener('change', async () => {
+      await chrome.storage.local.set({ [PERIOD_KEY]: Number(select.value) });
+      displayTodayStats(showToast);
+    });
+    return select;
+  }
+
+  /**
+   * Display stats for the selected period (today by default) in the right section
    * @param {Function} showToast - Toast notification function
    */
-  function displayTodayStats(showToast) {
+  async function displayTodayStats(showToast) {
     const apiData = API.getApiResponseData();
     if (!apiData || !Array.isArray(apiData)) {
       return;
     }
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const todayStr = Utils.formatDate(today);
+    const periodDays = await getPeriodDays();
+    const fromDate = new Date();
+    fromDate.setHours(0, 0, 0, 0);
+    fromDate.setDate(fromDate.getDate() - (periodDays - 1));
+
+    let periodItems;
+    try {
+      periodItems = await getPeriodItems(periodDays, fromDate);
+    } catch (error) {
+      showToast([`Could not load ${periodDays}-day stats: ${error.message}`]);
+      periodItems = [];
+    }
 
-    const { portalArticleIds, pendingQAArticleIds } = getPortalArticleData();
-    const personData = getTodayPersonData(todayStr);
+    await ArticleState.load();
+    const portalIndex = ArticleState.buildPortalIndex(Table.getPortalRows());
+    const articleStates = new Map(periodItems.map(item => [
+      item['Article number'], ArticleState.classifyItem(item, portalIndex)
+    ]));
+    const personData = getPersonData(periodItems, fromDate);
 
     const rightSection = document.querySelector('.RigthSectTp');
     if (!rightSection) {
@@ -223,26 +239,30 @@ window.TableExtensionStats = (function() {
       existingDisplay.remove();
     }
 
+    const statsDisplay = document.createElement('span');
+    statsDisplay.id = 'extension-today-stats';
+    statsDisplay.style.cssText = 'font-weight: 500;';
+
+    const separator = document.createTextNode(' | ');
+    statsDisplay.appendChild(separator);
+    statsDisplay.appendChild(createPeriodSelect(periodDays, showToast));
+    statsDisplay.appendChild(document.createTextNode(' '));
+    rightSection.appendChild(statsDisplay);
+
     const namesWithCounts = Object.keys(personData).filter(name => personData[name].total > 0);
     if (namesWithCounts.length === 0) {
+      statsDisplay.appendChild(document.createTextNode('No files'));
       return;
     }
 
     const sortedNames = namesWithCounts.sort();
     const abbrevMap = Utils.generateUniqueAbbreviations(sortedNames);
 
-    const statsDisplay = document.createElement('span');
-    statsDisplay.id = 'extension-today-stats';
-    statsDisplay.style.cssText = 'font-weight: 500;';
-
-    const separator = document.createTextNode(' | ');
-    statsDisplay.appendChild(separator);
-
     sortedNames.forEach((name, index) => {
       const abbrev = abbrevMap.get(name) || name.substring(0, 3).toUpperCase();
       const data = personData[name];
-      const uploadedCount = calculateUploadedCount(data, portalArticleIds, pendingQAArticleIds);
-      const tooltipText = getArticleIdBreakdown(name, personData, portalArticleIds, pendingQAArticleIds);
+      const uploadedCount = calculateUploadedCount(data, articleStates);
+      const tooltipText = getArticleIdBreakdown(name, personData, articleStates);
 
       const personSpan = createPersonSpan(
         abbrev,
@@ -259,8 +279,6 @@ window.TableExtensionStats = (function() {
       }
       statsDisplay.appendChild(personSpan);
     });
-
-    rightSection.appendChild(statsDisplay);
   }
 
   return {
@@ -6,30 +6,81 @@ window.TableExtensionTable = (function () {
   const Utils = window.TableExtensionUtils;
   const API = window.TableExtensionAPI;
   const HeaderBuilder = window.TableExtensionHeaderBuilder;
+  const Names = window.TableExtensionNames;
+  const Assignments = window.TableExtensionAssignments;
+  const ArticleState = window.TableExtensionArticleState;
+  const FormatRules = window.TableExtensionFormatRules;
+  const RowBuckets = window.TableExtensionRowBuckets;
+  const PriorityOrder = window.TableExtensionPriorityOrder;
+  const Sort = window.TableExtensionSort;
   const ARTICLE_ID_COLUMN = 'Article ID';
   const DONE_BY_COLUMN = 'DONE BY';
-  const SRC_COLUMN = 'SRC';
 
-  // Highlight rules: name -> color mapping
-  const HIGHLIGHT_RULES = {
-    'Ruchi': '#e3f2fd',
+  const EXTRA_COLUMNS_KEY = 'extraColumns'; // sync: optionalKey values of the API columns to show
+  const DONE_BY_CELL_MARKER = 'doneBy';
+
+  // Optional API columns: how each gets its text and sort value from the current assignment
+  const API_COLUMNS = {
+    pages: {
+      getText: entry => (entry.pages ?? '') === '' ? '-' : String(entry.pages),
+      getSortValue: entry => entry.pages ?? ''
+    },
+    time: {
+      getText: entry => (entry.time ?? '') === '' ? '-' : String(entry.time),
+      getSortValue: entry => parseDurationMinutes(entry.time)
+    },
+    completed: {
+      getText: entry => entry.completed || '-',
+      getSortValue: entry => entry.completed || ''
+    }
   };
 
-  // Cell colors for SRC column values
-  const SRC_CELL_COLORS = {
-    'DOCX': '#eeeeee',
-    'TEX': '#e5e5e5',
-  };
+  // Conditional format rules in precedence order (loaded from sync storage)
+  let formatRules = [];
+
+  // Pinned row buckets in order (loaded from sync storage)
+  let rowBuckets = RowBuckets.normalizeBuckets();
 
   // Flag to prevent recursive reordering
   let isReordering = false;
 
+  const REASSIGNED_CLASS = 'extension-reassigned';
+  const ARCHIVED_CLASS = 'extension-archived-owner';
+  const STATE_COLUMN_KEY = 'state';
+  const ACTION_COLUMN = 'Action';
+
+  // STATE badge colors (background, text)
+  const STATE_BADGE_COLORS = {
+    [ArticleState.UPLOADED]: ['#e3f2fd', '#1565c0'],
+    [ArticleState.NOT_UPLOADED]: ['#fdecea', '#c0392b'],
+    [ArticleState.PENDING_QA]: ['#e8f5e9', '#2e7d32'],
+    [ArticleState.NOT_IN_API]: ['#fff3e0', '#e67e22'],
+    [ArticleState.UNASSIGNED]: ['#eceff1', '#546e7a']
+  };
+
   // ============ CORE FUNCTIONS ============
 
-  function showLoadingStatus() {
+  /**
+   * Show the loading state in the DONE BY header and cells
+   * @param {{attempt: number, maxAttempts: number}|null} retry - Retry in progress (only the header is updated once the column exists)
+   */
+  function showLoadingStatus(retry = null) {
     const table = Utils.getTable();
     if (!table) return;
 
+    // On a cold start (no cache) the column is not there yet; add it with
+    // placeholder cells so the loading and retry state has somewhere to show
+    const isColumnMissing = Utils.findColumnIndex(table, DONE_BY_COLUMN) === -1;
+    if (isColumnMissing) {
+      addDoneByColumn();
+      Utils.getTableRows(table).forEach((row) => {
+        row.querySelectorAll('td[data-api-column]').forEach((cell) => {
+          cell.textContent = '';
+          delete cell.dataset.state;
+        });
+      });
+    }
+
     const headers = Utils.getHeaders(table);
     const doneByHeaderIndex = Utils.findColumnIndex(table, DONE_BY_COLUMN);
 
@@ -37,10 +88,13 @@ window.TableExtensionTable = (function () {
 
     const doneByHeader = headers[doneByHeaderIndex];
     const wrapper = doneByHeader.querySelector('.DataTables_sort_wrapper');
+    const status = retry ? `Retrying (${retry.attempt}/${retry.maxAttempts})...` : 'Loading...';
     if (wrapper) {
-      wrapper.innerHTML = 'DONE BY <span style="color: #667eea; font-size: 10px;">(Loading...)</span>';
+      wrapper.innerHTML = `DONE BY <span style="color: #667eea; font-size: 10px;">(${status})</span>`;
     }
 
+    if (retry && !isColumnMissing) return;
+
     const rows = Utils.getTableRows(table);
     rows.forEach((row) => {
       const cells = Array.from(row.querySelectorAll('td'));
@@ -68,10 +122,277 @@ window.TableExtensionTable = (function () {
     }
   }
 
+  /**
+   * Convert a Time value to minutes for sorting ("1:30" -> 90, 45 -> 45)
+   * @param {string|number|null} value - Time from the API
+   * @returns {number|string} Minutes, or '' when it cannot be read
+   */
+  function parseDurationMinutes(value) {
+    if (typeof value === 'number') return value;
+    const text = (value || '').toString().trim();
+    const clock = text.match(/^(\d+):(\d{1,2})$/);
+    if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+    const number = Number(text);
+    return text && Number.isFinite(number) ? number : '';
+  }
+
+  /**
+   * Get the latest assignment of an article (live data, then the archive)
+   * @param {string} articleId - Article ID
+   * @returns {AssignmentEntry|null}
+   */
+  function getLatestEntry(articleId) {
+    const history = API.getArticleHistory(articleId);
+    const entries = history.length > 0 ? history : API.getArchivedHistory(articleId);
+    return entries[entries.length - 1] || null;
+  }
+
+  /**
+   * Add the STATE badge styles once
+   */
+  function ensureStateBadgeStyles() {
+    if (document.getElementById('extension-state-style')) return;
+    const style = document.createElement('style');
+    style.id = 'extension-state-style';
+    style.textContent = Object.entries(STATE_BADGE_COLORS).map(([state, [background, color]]) => `
+      span.extension-state-${state} {
+        display: inline-block;
+        padding: 1px 6px;
+        border-radius: 8px;
+        font-size: 11px;
+        white-space: nowrap;
+        background: ${background};
+        color: ${color};
+      }
+    `).join('');
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Create the STATE cell of a portal row
+   * @param {string} articleId - Article ID
+   * @param {AssignmentEntry|null} entry - Current assignment
+   * @param {string} actionText - Action cell text
+   * @returns {HTMLElement}
+   */
+  function createStateCell(articleId, entry, actionText) {
+    const state = ArticleState.classifyPortalRow(actionText, entry ? entry.doneBy : null);
+
+    const badge = document.createElement('span');
+    badge.className = `extension-state-${state}`;
+    badge.textContent = ArticleState.LABELS[state];
+
+    const cell = document.createElement('td');
+    cell.align = 'center';
+    cell.dataset.apiColumn = STATE_COLUMN_KEY;
+    cell.dataset.state = state;
+    cell.appendChild(badge);
+    return cell;
+  }
+
+  /**
+   * Find the Action column among the portal's own columns. The index comes from
+   * the header like pastDueManager, with the extension columns (marked with
+   * data-extension-column) left out, as a row may not have its extension cells
+   * yet while the header already does. Used by both the STATE column and
+   * getPortalRows so they always read the same cell.
+   * @param {HTMLElement} table - Table element
+   * @returns {number} - Index among a row's portal cells, or -1
+   */
+  function getPortalActionIndex(table) {
+    const actionIndex = Utils.findColumnIndex(table, ACTION_COLUMN);
+    if (actionIndex === -1) return -1;
+
+    const extensionColumnsBefore = Utils.getHeaders(table)
+      .slice(0, actionIndex)
+      .filter(th => th.hasAttribute('data-extension-column'))
+      .length;
+    return actionIndex - extensionColumnsBefore;
+  }
+
+  /**
+   * Get the Action text of a row
+   * @param {HTMLElement} row - Table row
+   * @param {number} portalActionIndex - See getPortalActionIndex
+   * @returns {string}
+   */
+  function getActionText(row, portalActionIndex) {
+    if (portalActionIndex === -1) return '';
+    const portalCells = Array.from(row.cells)
+      .filter(cell => !cell.dataset.extensionColumn && !cell.dataset.apiColumn);
+    return portalCells[portalActionIndex]?.textContent || '';
+  }
+
+  /**
+   * Insert the enabled API columns (PAGES, TIME, COMPLETED) and the STATE
+   * column right after each DONE BY cell, replacing any from the previous pass
+   */
+  function populateApiColumns() {
+    const table = Utils.getTable();
+    if (!table) return;
+
+    const enabledKeys = HeaderBuilder.getActiveHeaderConfig()
+      .map(header => header.optionalKey)
+      .filter(Boolean);
+    const portalActionIndex = getPortalActionIndex(table);
+    ensureStateBadgeStyles();
+
+    Utils.getTableRows(table).forEach((row) => {
+      row.querySelectorAll('td[data-api-column]').forEach(cell => cell.remove());
+
+      const doneByCell = row.querySelector(`td[data-extension-column="${DONE_BY_CELL_MARKER}"]`);
+      if (!doneByCell) return;
+
+      const articleId = doneByCell.previousElementSibling?.textContent.trim() || '';
+      const entry = getLatestEntry(articleId);
+
+      let anchor = doneByCell;
+      enabledKeys.forEach((key) => {
+        const cell = document.createElement('td');
+        cell.align = 'center';
+        cell.dataset.apiColumn = key;
+        cell.textContent = API_COLUMNS[key].getText(entry || {});
+        cell.dataset.sortValue = API_COLUMNS[key].getSortValue(entry || {});
+        anchor.insertAdjacentElement('afterend', cell);
+        anchor = cell;
+      });
+
+      anchor.insertAdjacentElement('afterend', createStateCell(articleId, entry, getActionText(row, portalActionIndex)));
+    });
+  }
+
+  /**
+   * Read the article ID and Action of every portal row
+   * @returns {Array<{articleId: string, action: string}>}
+   */
+  function getPortalRows() {
+    const table = Utils.getTable();
+    if (!table) return [];
+
+    const articleIdIndex = Utils.findColumnIndex(table, ARTICLE_ID_COLUMN);
+    const portalActionIndex = getPortalActionIndex(table);
+    if (articleIdIndex === -1) return [];
+
+    return Array.from(Utils.getTableRows(table), row => ({
+      articleId: Utils.getCellValue(row, articleIdIndex),
+      action: getActionText(row, portalActionIndex).trim()
+    })).filter(row => row.articleId);
+  }
+
+  /**
+   * Add the DONE BY cell marker styles once. The reassignment marker is a
+   * pseudo-element so the cell text stays the plain name that sorting, filtering
+   * and copying read.
+   */
+  function ensureDoneByCellStyles() {
+    if (document.getElementById('extension-done-by-style')) return;
+    const style = document.createElement('style');
+    style.id = 'extension-done-by-style';
+    style.textContent = `
+      td.${REASSIGNED_CLASS}::after {
+        content: ' \\21BA';
+        color: #e67e22;
+        font-weight: bold;
+      }
+      td.${ARCHIVED_CLASS} {
+        font-style: italic;
+        color: #777;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Fill a DONE BY cell with the current owner and mark earlier owners.
+   * Articles the webhook no longer returns fall back to the archive.
+   * @param {HTMLElement} cell - DONE BY cell
+   * @param {string} articleId - Article ID of the row
+   */
+  function setDoneByCell(cell, articleId) {
+    let doneBy = API.getArticleMap().get(articleId);
+    let history = API.getArticleHistory(articleId);
+    let archiveNote = '';
+
+    if (!doneBy) {
+      const archived = API.getArchivedHistory(articleId);
+      const latest = archived[archived.length - 1];
+      if (latest && Names.resolveName(latest.doneBy)) {
+        history = archived;
+        doneBy = Names.resolveName(latest.doneBy);
+        archiveNote = `From the archive, assigned ${latest.date}`;
+      }
+    }
+
+    const previousOwners = Assignments.getPreviousOwners(history, Names.resolveName);
+    cell.dataset.extensionColumn = DONE_BY_CELL_MARKER;
+    cell.textContent = doneBy || '-';
+    cell.classList.toggle(REASSIGNED_CLASS, previousOwners.length > 0);
+    cell.classList.toggle(ARCHIVED_CLASS, Boolean(archiveNote));
+    if (archiveNote || previousOwners.length > 0) {
+      ensureDoneByCellStyles();
+    }
+
+    const titleParts = [];
+    if (archiveNote) {
+      titleParts.push(archiveNote);
+    }
+    if (previousOwners.length > 0) {
+      const lines = history.map(entry => `${entry.date}  ${Names.resolveName(entry.doneBy) || '-'}`);
+      titleParts.push(`Previously: ${previousOwners.join(', ')}\n\nAssignment history:\n${lines.join('\n')}`);
+    }
+
+    if (titleParts.length > 0) {
+      cell.title = titleParts.join('\n\n');
+    } else {
+      cell.removeAttribute('title');
+    }
+  }
+
+  /**
+   * Show how old the API data is in the DONE BY header (and whether it is being refreshed)
+   */
+  function showDataAge() {
+    const table = Utils.getTable();
+    if (!table) return;
+
+    const doneByHeaderIndex = Utils.findColumnIndex(table, DONE_BY_COLUMN);
+    if (doneByHeaderIndex === -1) return;
+
+    const wrapper = Utils.getHeaders(table)[doneByHeaderIndex].querySelector('.DataTables_sort_wrapper');
+    if (!wrapper) return;
+
+    let label = wrapper.querySelector('.extension-data-age');
+    const fetchedAt = API.getDataTimestamp();
+    if (!fetchedAt) {
+      if (label) label.remove();
+      return;
+    }
+
+    if (!label) {
+      label = document.createElement('span');
+      label.className = 'extension-data-age';
+      label.style.cssText = 'color: #999; font-size: 10px; font-weight: normal;';
+      wrapper.insertBefore(label, wrapper.querySelector('.DataTables_sort_icon'));
+    }
+
+    const retry = API.getRetryState();
+    let status = '';
+    if (retry) {
+      status = `, retrying (${retry.attempt}/${retry.maxAttempts})...`;
+    } else if (API.isDataFromCache() && API.isCurrentlyFetching()) {
+      status = ', refreshing...';
+    }
+    label.textContent = ` (${Utils.formatTimeAgo(fetchedAt)}${status})`;
+    label.title = `Data fetched ${new Date(fetchedAt).toLocaleString()}`;
+  }
+
   function populateDoneByColumn() {
     const table = Utils.getTable();
     if (!table) return;
 
+    // API columns first, so every row has as many cells as the header
+    populateApiColumns();
+
     const headers = Utils.getHeaders(table);
 
     let doneByHeaderIndex = -1;
@@ -112,7 +433,6 @@ window.TableExtensionTable = (function () {
     }
 
     const rows = Utils.getTableRows(table);
-    const articleMap = API.getArticleMap();
 
     const expectedMinColumns = Math.max(articleIdIndex, doneByHeaderIndex) + 1;
     if (headers.length < expectedMinColumns) {
@@ -135,80 +455,157 @@ window.TableExtensionTable = (function () {
         return;
       }
 
-      const doneBy = articleMap.get(articleId) || '-';
-      
       if (cells.length > doneByHeaderIndex) {
-        const doneByCell = cells[doneByHeaderIndex];
-        doneByCell.textContent = doneBy;
+        setDoneByCell(cells[doneByHeaderIndex], articleId);
       } else {
         const articleIdCell = cells[articleIdIndex];
         if (articleIdCell) {
           const newCell = document.createElement('td');
           newCell.align = 'center';
           newCell.className = ' ';
-          newCell.textContent = doneBy;
+          setDoneByCell(newCell, articleId);
           articleIdCell.insertAdjacentElement('afterend', newCell);
         }
       }
     });
   }
 
-  function colorSrcCells() {
-    const table = Utils.getTable();
-    if (!table) return;
-
-    const srcColumnIndex = Utils.findColumnIndex(table, SRC_COLUMN);
-    if (srcColumnIndex === -1) return;
-
-    const rows = Utils.getTableRows(table);
+  /**
+   * Add the format badge styles once. Badges are pseudo-elements so the cell
+   * text stays what sorting, filtering and copying read.
+   */
+  function ensureFormatBadgeStyles() {
+    if (document.getElementById('extension-format-style')) return;
+    const style = document.createElement('style');
+    style.id = 'extension-format-style';
+    style.textContent = `
+      td[data-format-badge]::before {
+        content: attr(data-format-badge);
+        display: inline-block;
+        margin-right: 4px;
+        padding: 0 5px;
+        border-radius: 8px;
+        font-size: 10px;
+        font-weight: 600;
+        background: #667eea;
+        color: white;
+      }
+    `;
+    document.head.appendChild(style);
+  }
 
-    rows.forEach((row) => {
-      const cells = Array.from(row.querySelectorAll('td'));
-      if (cells.length <= srcColumnIndex) return;
+  /**
+   * Remove formatting applied by an earlier pass (rules may have changed since)
+   * @param {HTMLElement} row - Table row
+   */
+  function clearRowFormat(row) {
+    row.style.removeProperty('background-color');
+    row.removeAttribute('data-format-rules');
+    row.querySelectorAll('td').forEach((cell) => {
+      cell.style.removeProperty('background-color');
+      cell.style.removeProperty('color');
+      cell.style.removeProperty('font-weight');
+      cell.removeAttribute('data-format-badge');
+    });
+  }
 
-      const srcValue = Utils.getCellValue(row, srcColumnIndex).trim().toUpperCase();
-      const cellColor = SRC_CELL_COLORS[srcValue];
+  /**
+   * Get the index of every column rules can test
+   * @param {HTMLElement} table - Table element
+   * @returns {Array<[string, number]>} [column, index] for the columns present
+   */
+  function getRuleColumnIndexes(table) {
+    return FormatRules.COLUMNS
+      .map(column => [column, Utils.findColumnIndex(table, column)])
+      .filter(([, index]) => index !== -1);
+  }
 
-      cells.forEach((cell) => {
-        if (cellColor) {
-          cell.style.setProperty('background-color', cellColor, 'important');
-        } else {
-          cell.style.removeProperty('background-color');
-        }
-      });
+  /**
+   * Read the rule columns of a row
+   * @param {Array<HTMLElement>} cells - Row cells
+   * @param {Array<[string, number]>} columnIndexes - See getRuleColumnIndexes
+   * @returns {Object<string, string>} Column -> cell text
+   */
+  function getRuleValues(cells, columnIndexes) {
+    const values = {};
+    columnIndexes.forEach(([column, index]) => {
+      values[column] = cells[index] ? cells[index].textContent.trim() : '';
     });
+    return values;
+  }
+
+  /**
+   * Context for evaluating rule conditions (see FormatRules.matchesRule)
+   * @returns {Object}
+   */
+  function getRuleContext() {
+    return {
+      now: new Date(),
+      parseDate: text => Utils.parseDate(text) || Utils.parseDateString(text),
+      namesMatch: Names.namesMatch
+    };
   }
 
+  /**
+   * Apply the format rules to every row (see formatRules.js for precedence)
+   */
   function highlightRows() {
     const table = Utils.getTable();
     if (!table) return;
 
-    const doneByIndex = Utils.findColumnIndex(table, DONE_BY_COLUMN);
-    if (doneByIndex === -1) return;
+    const columnIndexes = getRuleColumnIndexes(table);
+    const context = getRuleContext();
 
     const rows = Utils.getTableRows(table);
 
     rows.forEach((row) => {
-      const doneBy = Utils.getCellValue(row, doneByIndex).trim();
+      clearRowFormat(row);
 
-      Object.keys(HIGHLIGHT_RULES).forEach((name, index) => {
-        row.classList.remove(`highlight-row-${index}`);
-      });
-      row.style.removeProperty('background-color');
-      row.removeAttribute('data-highlighted');
-
-      if (HIGHLIGHT_RULES.hasOwnProperty(doneBy)) {
-        const color = HIGHLIGHT_RULES[doneBy];
-        const index = Object.keys(HIGHLIGHT_RULES).indexOf(doneBy);
-        row.classList.add(`highlight-row-${index}`);
-        row.style.setProperty('background-color', color, 'important');
-        row.setAttribute('data-highlighted', doneBy);
+      const cells = Array.from(row.querySelectorAll('td'));
+      const format = FormatRules.resolveStyle(formatRules, getRuleValues(cells, columnIndexes), context);
+      if (format.ruleIds.length === 0) return;
+
+      row.setAttribute('data-format-rules', format.ruleIds.join(' '));
+      if (format.background) {
+        row.style.setProperty('background-color', format.background, 'important');
       }
+      cells.forEach((cell) => {
+        if (format.background) cell.style.setProperty('background-color', format.background, 'important');
+        if (format.color) cell.style.setProperty('color', format.color, 'important');
+        if (format.bold) cell.style.setProperty('font-weight', 'bold', 'important');
+      });
+
+      format.badges.forEach((badge) => {
+        const [, index] = columnIndexes.find(([column]) => column === badge.column) || [];
+        if (cells[index]) {
+          ensureFormatBadgeStyles();
+          cells[index].setAttribute('data-format-badge', badge.text);
+        }
+      });
     });
+  }
 
-    colorSrcCells();
+  /**
+   * Load format rules from sync storage
+   * @returns {Promise<void>}
+   */
+  async function loadFormatRules() {
+    try {
+      const result = await chrome.storage.sync.get([FormatRules.RULES_KEY]);
+      formatRules = FormatRules.normalizeRules(result[FormatRules.RULES_KEY]);
+    } catch (error) {
+      formatRules = [];
+    }
   }
 
+  // Re-apply when rules are edited in the popup (or a person is renamed)
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[FormatRules.RULES_KEY]) {
+      formatRules = FormatRules.normalizeRules(changes[FormatRules.RULES_KEY].newValue);
+      highlightRows();
+    }
+  });
+
   function addDoneByColumn() {
     const table = Utils.getTable();
     if (!table) return;
@@ -252,6 +649,7 @@ window.TableExtensionTable = (function () {
     newHeader.setAttribute('rowspan', '1');
     newHeader.setAttribute('colspan', '1');
     newHeader.style.width = '100px';
+    newHeader.setAttribute('data-extension-column', DONE_BY_CELL_MARKER);
 
     const wrapper = document.createElement('div');
     wrapper.className = 'DataTables_sort_wrapper';
@@ -265,7 +663,6 @@ window.TableExtensionTable = (function () {
     articleIdHeader.insertAdjacentElement('afterend', newHeader);
 
     const rows = Utils.getTableRows(table);
-    const articleMap = API.getArticleMap();
     const articleIdIndex = Utils.findColumnIndex(table, ARTICLE_ID_COLUMN);
     if (articleIdIndex === -1) return;
 
@@ -275,24 +672,78 @@ window.TableExtensionTable = (function () {
         const articleIdCell = cells[articleIdIndex];
         const articleId = articleIdCell.textContent.trim();
         if (articleId) {
-          const doneBy = articleMap.get(articleId) || '-';
           const newCell = document.createElement('td');
           newCell.align = 'center';
           newCell.className = ' ';
-          newCell.textContent = doneBy;
+          setDoneByCell(newCell, articleId);
           articleIdCell.insertAdjacentElement('afterend', newCell);
         }
       }
     });
+
+    populateApiColumns();
+  }
+
+  /**
+   * Load which optional API columns are shown from sync storage
+   * @returns {Promise<void>}
+   */
+  async function loadExtraColumns() {
+    try {
+      const result = await chrome.storage.sync.get([EXTRA_COLUMNS_KEY]);
+      HeaderBuilder.setEnabledOptionalColumns(result[EXTRA_COLUMNS_KEY] || []);
+    } catch (error) {
+      HeaderBuilder.setEnabledOptionalColumns([]);
+    }
   }
 
-  // ============ TEX ROW ORDERING ============
+  // Re-classify the STATE column when the upload rules are edited. articleState.js
+  // registers its own listener first and starts the reload, so just wait for it.
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[ArticleState.RULES_KEY]) {
+      ArticleState.load().then(populateApiColumns);
+    }
+  });
+
+  // Rebuild cells and header when columns are switched on or off in the popup
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync' || !changes[EXTRA_COLUMNS_KEY]) return;
+    HeaderBuilder.setEnabledOptionalColumns(changes[EXTRA_COLUMNS_KEY].newValue || []);
+
+    const headerRow = Utils.getHeaderRow(Utils.getTable());
+    if (headerRow && headerRow.hasAttribute('data-extension-header')) {
+      populateApiColumns();
+      replaceTableHeader();
+      showDataAge();
+      applyTableOrder();
+    }
+  });
+
+  // ============ PINNED ROW BUCKETS ============
 
   /**
-   * Move TEX rows to bottom of table - CORE function
-   * This is the ONLY function that moves rows
+   * Put rows in bucket order (see rowBuckets.js), keeping their order inside each bucket
+   * @param {Array<HTMLElement>} rows - Rows in column-sort order
+   * @returns {Array<HTMLElement>}
    */
-  function moveTexRowsToBottom() {
+  function arrangeRows(rows) {
+    const table = Utils.getTable();
+    if (!table || rowBuckets.length === 0) return rows;
+
+    const columnIndexes = getRuleColumnIndexes(table);
+    return RowBuckets.arrange(
+      rows,
+      rowBuckets,
+      row => getRuleValues(Array.from(row.querySelectorAll('td')), columnIndexes),
+      getRuleContext()
+    );
+  }
+
+  /**
+   * Move pinned rows to the top or bottom of the table - CORE function
+   * This is the ONLY function that moves rows after a redraw
+   */
+  function applyRowBuckets() {
     // Prevent recursive calls
     if (isReordering) return;
     
@@ -302,14 +753,9 @@ window.TableExtensionTable = (function () {
     const rows = Array.from(Utils.getTableRows(table));
     if (rows.length === 0) return;
 
-    const srcColumnIndex = Utils.findColumnIndex(table, SRC_COLUMN);
-    if (srcColumnIndex === -1) return;
-
     // Check if already in correct order (optimization)
-    if (Utils.areTexRowsAtBottom(rows, srcColumnIndex)) return;
-
-    const { texRows, nonTexRows } = Utils.splitRowsBySrc(rows, srcColumnIndex);
-    if (texRows.length === 0) return;
+    const arranged = arrangeRows(rows);
+    if (arranged.every((row, index) => row === rows[index])) return;
 
     const tbody = table.querySelector('tbody');
     if (!tbody) return;
@@ -319,8 +765,7 @@ window.TableExtensionTable = (function () {
 
     // Move rows using fragment for performance
     const fragment = document.createDocumentFragment();
-    nonTexRows.forEach(row => fragment.appendChild(row));
-    texRows.forEach(row => fragment.appendChild(row));
+    arranged.forEach(row => fragment.appendChild(row));
     tbody.appendChild(fragment);
 
     // Clear flag
@@ -328,11 +773,61 @@ window.TableExtensionTable = (function () {
   }
 
   /**
-   * Apply everything: move TEX rows then highlight
+   * Load pinned row buckets from sync storage
+   * @returns {Promise<void>}
+   */
+  async function loadRowBuckets() {
+    try {
+      const result = await chrome.storage.sync.get([RowBuckets.BUCKETS_KEY]);
+      rowBuckets = RowBuckets.normalizeBuckets(result[RowBuckets.BUCKETS_KEY]);
+    } catch (error) {
+      rowBuckets = RowBuckets.normalizeBuckets();
+    }
+  }
+
+  // Re-order when buckets are edited in the popup
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[RowBuckets.BUCKETS_KEY]) {
+      rowBuckets = RowBuckets.normalizeBuckets(changes[RowBuckets.BUCKETS_KEY].newValue);
+      applyTableOrder();
+    }
+  });
+
+  /**
+   * Load the Priority sort order from sync storage
+   * @returns {Promise<void>}
+   */
+  async function loadPriorityOrder() {
+    try {
+      const result = await chrome.storage.sync.get([PriorityOrder.ORDER_KEY]);
+      HeaderBuilder.setSortOrder('priority', PriorityOrder.normalizeOrder(result[PriorityOrder.ORDER_KEY]));
+    } catch (error) {
+      HeaderBuilder.setSortOrder('priority', PriorityOrder.normalizeOrder());
+    }
+  }
+
+  // The next Priority sort uses the order edited in the popup
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[PriorityOrder.ORDER_KEY]) {
+      HeaderBuilder.setSortOrder('priority', PriorityOrder.normalizeOrder(changes[PriorityOrder.ORDER_KEY].newValue));
+    }
+  });
+
+  // Header clicks sort through sortManager; keep the buckets there too
+  Sort.setRowArranger(arrangeRows);
+
+  /**
+   * Apply everything: move pinned rows, highlight, then group
    */
   function applyTableOrder() {
-    moveTexRowsToBottom();
+    applyRowBuckets();
     highlightRows();
+
+    // Group header rows go in last, around the final order
+    const Group = window.TableExtensionGroup;
+    if (Group) {
+      Group.applyGrouping();
+    }
   }
 
   /**
@@ -401,29 +896,43 @@ window.TableExtensionTable = (function () {
   }
 
   function replaceTableHeader() {
-    HeaderBuilder.replaceTableHeader(highlightRows);
+    HeaderBuilder.replaceTableHeader(applyTableOrder);
   }
 
-  function handleColumnSort(columnIndex, headerCell) {
-    const Sort = window.TableExtensionSort;
+  function handleColumnSort(columnIndex, headerCell, isAdditive = false) {
     Sort.handleColumnSort(columnIndex, headerCell, () => {
       applyTableOrder();
-    });
+    }, isAdditive);
+  }
+
+  /**
+   * Add the toolbar listing the sort keys, with a Clear button (the restored
+   * order gets its highlights and group rows back through applyTableOrder)
+   */
+  function initializeSortToolbar() {
+    Sort.initializeSortToolbar(applyTableOrder);
   }
 
   // Public API
   return {
     showLoadingStatus,
     removeLoadingStatus,
+    showDataAge,
     populateDoneByColumn,
     addDoneByColumn,
     enableSortingOnDoneByColumn,
     highlightRows,
-    colorSrcCells,
+    loadFormatRules,
+    loadExtraColumns,
+    loadRowBuckets,
+    loadPriorityOrder,
+    getPortalRows,
+    getLatestEntry,
     replaceTableHeader,
     handleColumnSort,
+    initializeSortToolbar,
     setupDataTablesTexSorting,
-    moveTexRowsToBottom,
+    applyRowBuckets,
     finalizeInitialLoad,
     applyTableOrder
   };
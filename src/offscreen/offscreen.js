@@ -0,0 +1,52 @@
+// Offscreen document script - DOM work the service worker cannot do itself
+
+(function() {
+  'use strict';
+
+  const PortalParser = window.TableExtensionPortalParser;
+
+  /**
+   * Copy text to the clipboard (the offscreen document never has focus,
+   * so navigator.clipboard is not available here)
+   * @param {string} text - Text to copy
+   */
+  function copyText(text) {
+    const textArea = document.createElement('textarea');
+    textArea.value = text;
+    document.body.appendChild(textArea);
+    textArea.select();
+    const copied = document.execCommand('copy');
+    document.body.removeChild(textArea);
+    if (!copied) {
+      throw new Error('Copy command failed');
+    }
+  }
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.target !== 'offscreen') {
+      return false;
+    }
+
+    if (message.type === 'PARSE_PORTAL_HTML') {
+      try {
+        const result = PortalParser.parseHtml(message.html || '');
+        sendResponse({ success: true, result });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      return false;
+    }
+
+    if (message.type === 'COPY_TO_CLIPBOARD') {
+      try {
+        copyText(message.text || '');
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      return false;
+    }
+
+    return false;
+  });
+})();
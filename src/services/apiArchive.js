@@ -0,0 +1,143 @@
+// API Archive - Daily API rows kept in IndexedDB - Global namespace
+// Uses `self` so it loads in the service worker with importScripts(). The content
+// script loads it for the day-key helpers only; the database is opened by the worker.
+// The webhook only returns the last five days; every fetch stores its rows per day
+// here, so date-range requests can reach weeks or months back.
+
+self.TableExtensionArchive = (function() {
+  'use strict';
+
+  const DB_NAME = 'apiArchive';
+  const DB_VERSION = 1;
+  const STORE_NAME = 'days'; // { day: 'YYYY-MM-DD', rows: Array<Object>, storedAt: number }
+  const RETENTION_DAYS = 400;
+
+  let dbPromise = null;
+
+  /**
+   * Wrap an IndexedDB request in a promise
+   * @param {IDBRequest} request
+   * @returns {Promise<*>}
+   */
+  function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Open (and create on first use) the archive database
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDatabase() {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'day' });
+      };
+      dbPromise = promisifyRequest(request).catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Convert a sheet date (DD/MM/YYYY) to a sortable day key
+   * @param {string} dateStr - Sheet date
+   * @returns {string|null} 'YYYY-MM-DD', or null when invalid
+   */
+  function toDayKey(dateStr) {
+    const match = (dateStr || '').trim().match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    return match ? `${match[3]}-${match[2]}-${match[1]}` : null;
+  }
+
+  /**
+   * Day key of a Date
+   * @param {Date} date
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  function dateToDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Group rows by day key (rows without a valid date are skipped)
+   * @param {Array<Object>} items - API items
+   * @returns {Map<string, Array<Object>>}
+   */
+  function groupByDay(items) {
+    const days = new Map();
+    items.forEach(item => {
+      const day = toDayKey(item.Date);
+      if (!day) return;
+      if (!days.has(day)) {
+        days.set(day, []);
+      }
+      days.get(day).push(item);
+    });
+    return days;
+  }
+
+  /**
+   * Store a fetch's rows, replacing each day it covers, and drop days past retention
+   * @param {Array<Object>} items - Validated API items
+   * @returns {Promise<number>} Days written
+   */
+  async function storeRows(items) {
+    const days = groupByDay(items);
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const storedAt = Date.now();
+
+    days.forEach((rows, day) => {
+      store.put({ day, rows, storedAt });
+    });
+
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - RETENTION_DAYS);
+    store.delete(IDBKeyRange.upperBound(dateToDayKey(cutoff), true));
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    return days.size;
+  }
+
+  /**
+   * Get archived rows between two days (inclusive)
+   * @param {string} [from] - 'YYYY-MM-DD' (open-ended when omitted)
+   * @param {string} [to] - 'YYYY-MM-DD' (open-ended when omitted)
+   * @returns {Promise<Array<Object>>} Rows, oldest day first
+   */
+  async function getRows(from, to) {
+    const db = await openDatabase();
+    let range = null;
+    if (from && to) {
+      range = IDBKeyRange.bound(from, to);
+    } else if (from) {
+      range = IDBKeyRange.lowerBound(from);
+    } else if (to) {
+      range = IDBKeyRange.upperBound(to);
+    }
+
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const days = await promisifyRequest(store.getAll(range));
+    return days.flatMap(entry => entry.rows);
+  }
+
+  return {
+    toDayKey,
+    dateToDayKey,
+    groupByDay,
+    storeRows,
+    getRows
+  };
+})();
@@ -0,0 +1,159 @@
+// API Schema - Runtime validation of webhook items - Global namespace
+// Uses `self` so it loads in the service worker with importScripts()
+
+/**
+ * @typedef {Object} DataQualityIssue
+ * @property {number|null} rowNumber - Sheet row (`row_number`), null when missing
+ * @property {string} articleId - Article number as sent (may be empty)
+ * @property {string} field - Offending field
+ * @property {*} value - Value as sent
+ * @property {string} message - What is wrong
+ * @property {string} severity - 'error' (row dropped) | 'warning' (row kept)
+ */
+
+/**
+ * @typedef {Object} DataQualityReport
+ * @property {number} totalRows - Items in the response
+ * @property {number} validRows - Items kept
+ * @property {Array<DataQualityIssue>} issues
+ */
+
+self.TableExtensionSchema = (function() {
+  'use strict';
+
+  const SEVERITY_ERROR = 'error';
+  const SEVERITY_WARNING = 'warning';
+  const DATE_PATTERN = /^(\d{2})\/(\d{2})\/(\d{4})$/;
+  const COMPLETED_VALUES = ['Completed', 'Not started'];
+
+  /**
+   * Check a DD/MM/YYYY date that exists in the calendar
+   * @param {*} value - Date value
+   * @returns {boolean}
+   */
+  function isValidDate(value) {
+    if (typeof value !== 'string') return false;
+    const match = value.trim().match(DATE_PATTERN);
+    if (!match) return false;
+    const [, day, month, year] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+  }
+
+  /**
+   * Validate one API item
+   * @param {*} item - Raw item
+   * @returns {{item: Object|null, issues: Array<DataQualityIssue>}} Normalized item (null when dropped)
+   */
+  function validateItem(item) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return {
+        item: null,
+        issues: [{ rowNumber: null, articleId: '', field: '(row)', value: item, message: 'Not an object', severity: SEVERITY_ERROR }]
+      };
+    }
+
+    const rowNumber = Number.isInteger(item.row_number) ? item.row_number : null;
+    const rawArticleId = item['Article number'];
+    const articleId = typeof rawArticleId === 'number' ? String(rawArticleId) : (rawArticleId || '').toString().trim();
+    const issues = [];
+    const addIssue = (field, message, severity = SEVERITY_WARNING) => {
+      issues.push({ rowNumber, articleId, field, value: item[field], message, severity });
+    };
+
+    if (!articleId) {
+      addIssue('Article number', 'Missing Article number', SEVERITY_ERROR);
+    }
+
+    // An empty Done by is an unassigned article, which is normal; a missing
+    // row_number is counted once for the whole response (see validateResponse)
+    const doneBy = item['Done by'];
+    if (doneBy !== undefined && doneBy !== null && typeof doneBy !== 'string') {
+      addIssue('Done by', 'Done by is not text');
+    }
+
+    if (!isValidDate(item.Date)) {
+      addIssue('Date', 'Date is not a valid DD/MM/YYYY date');
+    }
+
+    let pages = item.Pages;
+    if (typeof pages === 'string' && pages.trim() !== '') {
+      const parsed = Number(pages.trim());
+      addIssue('Pages', Number.isFinite(parsed) ? 'Pages is a string' : 'Pages is not a number');
+      pages = Number.isFinite(parsed) ? parsed : null;
+    } else if (pages !== undefined && pages !== null && pages !== '' && typeof pages !== 'number') {
+      addIssue('Pages', 'Pages is not a number');
+      pages = null;
+    }
+
+    if (item.Completed !== undefined && item.Completed !== '' && !COMPLETED_VALUES.includes(item.Completed)) {
+      addIssue('Completed', `Unexpected Completed value (expected ${COMPLETED_VALUES.join(' or ')})`);
+    }
+
+    if (item.Time !== undefined && item.Time !== null && typeof item.Time !== 'string' && typeof item.Time !== 'number') {
+      addIssue('Time', 'Time is not text or a number');
+    }
+
+    const hasError = issues.some(issue => issue.severity === SEVERITY_ERROR);
+    return {
+      item: hasError ? null : { ...item, 'Article number': articleId, Pages: pages },
+      issues
+    };
+  }
+
+  /**
+   * Validate a webhook response, dropping rows that cannot be used
+   * @param {*} data - Parsed JSON
+   * @returns {{items: Array<Object>, report: DataQualityReport}}
+   */
+  function validateResponse(data) {
+    if (!Array.isArray(data)) {
+      return {
+        items: [],
+        report: {
+          totalRows: 0,
+          validRows: 0,
+          issues: [{ rowNumber: null, articleId: '', field: '(response)', value: typeof data, message: 'Response is not an array', severity: SEVERITY_ERROR }]
+        }
+      };
+    }
+
+    const items = [];
+    const issues = [];
+    let missingRowNumbers = 0;
+    data.forEach(raw => {
+      const result = validateItem(raw);
+      if (result.item) {
+        items.push(result.item);
+        if (!Number.isInteger(result.item.row_number)) {
+          missingRowNumbers++;
+        }
+      }
+      issues.push(...result.issues);
+    });
+
+    if (missingRowNumbers > 0) {
+      issues.push({
+        rowNumber: null,
+        articleId: '',
+        field: 'row_number',
+        value: missingRowNumbers,
+        message: `Missing row_number in ${missingRowNumbers} row${missingRowNumbers !== 1 ? 's' : ''}`,
+        severity: SEVERITY_WARNING
+      });
+    }
+
+    return {
+      items,
+      report: { totalRows: data.length, validRows: items.length, issues }
+    };
+  }
+
+  return {
+    SEVERITY_ERROR,
+    SEVERITY_WARNING,
+    isValidDate,
+    validateItem,
+    validateResponse
+  };
+})();
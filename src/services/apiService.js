@@ -1,12 +1,13 @@
 // API Service for fetching data - Global namespace
 
 /**
+ * Items are validated by apiSchema.js in the background worker before they get here
  * @typedef {Object} ApiResponseItem
  * @property {number} row_number
  * @property {string} Month
  * @property {string} Date
  * @property {string} Article number
- * @property {number|string} Pages
+ * @property {number|null} Pages - Numeric strings are converted
  * @property {string} Completed - "Completed" | "Not started"
  * @property {string} Done by
  * @property {string|number} Time
@@ -19,25 +20,64 @@
 window.TableExtensionAPI = (function() {
   'use strict';
 
-  const API_URL = 'https://n8n-ex6e.onrender.com/webhook/last-five-days-files';
-  const TIMEOUT = 20000; // 20 seconds
+  const Endpoint = window.TableExtensionEndpoint;
+  const Names = window.TableExtensionNames;
+  const Assignments = window.TableExtensionAssignments;
+  const Archive = window.TableExtensionArchive;
+
+  const ARCHIVE_LOOKUP_DAYS = 90; // How far back DONE BY looks for articles the webhook no longer returns
+  const CACHE_KEY = 'apiResponseCache'; // local: { data, fetchedAt, url }, written by the background worker
 
   // State management
   let articleDoneByMap = new Map();
+  let articleHistoryMap = new Map();
+  let archivedHistoryMap = new Map(); // Older assignments from the worker's archive
+  /** @type {ApiResponse} One row per article: its current assignment (see assignments.js) */
+  let currentAssignments = [];
   /** @type {ApiResponse|null} */
   let apiResponseData = null;
   let isFetching = false;
   let hasFetched = false;
   let fetchPromise = null;
+  let dataFetchedAt = null; // When the current data came from the webhook
+  let isFromCache = false;
+  let dataQualityReport = null; // Invalid rows found by the worker (see apiSchema.js)
+  let retryState = null; // { attempt, maxAttempts } while the worker retries the webhook
 
   /**
-   * Get the article to done-by mapping
+   * Get the article to done-by mapping (names resolved through aliases)
    * @returns {Map<string, string>}
    */
   function getArticleMap() {
     return articleDoneByMap;
   }
 
+  /**
+   * Get the assignment history of an article
+   * @param {string} articleId - Article number
+   * @returns {Array<AssignmentEntry>} Entries, oldest first (empty when unknown)
+   */
+  function getArticleHistory(articleId) {
+    return articleHistoryMap.get(articleId) || [];
+  }
+
+  /**
+   * Get the archived assignment history of an article the webhook no longer returns
+   * @param {string} articleId - Article number
+   * @returns {Array<AssignmentEntry>} Entries, oldest first (empty when unknown)
+   */
+  function getArchivedHistory(articleId) {
+    return archivedHistoryMap.get(articleId) || [];
+  }
+
+  /**
+   * Get one API row per article: the one that counts for stats and checks
+   * @returns {ApiResponse}
+   */
+  function getCurrentAssignments() {
+    return currentAssignments;
+  }
+
   /**
    * Get the full API response data
    * @returns {ApiResponse|null}
@@ -47,7 +87,7 @@ window.TableExtensionAPI = (function() {
   }
 
   /**
-   * Check if data has been fetched
+   * Check if data has been fetched (fresh or from the cache)
    * @returns {boolean}
    */
   function hasDataFetched() {
@@ -63,13 +103,177 @@ window.TableExtensionAPI = (function() {
   }
 
   /**
-   * Fetch data from webhook API
+   * Get when the current data was fetched from the webhook
+   * @returns {number|null} Timestamp, or null when there is no data
+   */
+  function getDataTimestamp() {
+    return dataFetchedAt;
+  }
+
+  /**
+   * Check if the current data came from the cache and has not been revalidated yet
+   * @returns {boolean}
+   */
+  function isDataFromCache() {
+    return isFromCache;
+  }
+
+  /**
+   * Get the data-quality report for the current data
+   * @returns {DataQualityReport|null}
+   */
+  function getDataQualityReport() {
+    return dataQualityReport;
+  }
+
+  /**
+   * Get the retry in progress, reported by the background worker
+   * @returns {{attempt: number, maxAttempts: number}|null}
+   */
+  function getRetryState() {
+    return retryState;
+  }
+
+  /**
+   * Set the retry in progress (null once the request succeeded or gave up)
+   * @param {{attempt: number, maxAttempts: number}|null} retry
+   */
+  function setRetryState(retry) {
+    retryState = retry || null;
+  }
+
+  /**
+   * Store response data and rebuild the article map (aliases must already be loaded)
+   * @param {ApiResponse} data - API response
+   * @param {number} fetchedAt - When the data was fetched
+   * @param {boolean} fromCache - Whether the data came from the cache
+   * @param {DataQualityReport|null} report - Data-quality report from the worker
+   */
+  function applyResponseData(data, fetchedAt, fromCache, report) {
+    // Store the full API response data
+    apiResponseData = data;
+    dataFetchedAt = fetchedAt;
+    isFromCache = fromCache;
+    dataQualityReport = report || null;
+    if (!fromCache) {
+      retryState = null;
+    }
+
+    // Keep every row per article; the current one (latest date) drives the DONE BY column
+    articleHistoryMap = Assignments.buildHistory(data);
+    currentAssignments = Assignments.getCurrentItems(data);
+
+    // Create a map of Article number -> canonical Done by
+    articleDoneByMap.clear();
+    currentAssignments.forEach(item => {
+      const doneBy = Names.resolveName(item['Done by']);
+      if (doneBy) {
+        articleDoneByMap.set(item['Article number'], doneBy);
+      }
+    });
+
+    hasFetched = true;
+  }
+
+  /**
+   * Load the last good response from local storage.
+   * Skipped when fresh data already arrived or the endpoint changed since it was cached.
+   * @returns {Promise<boolean>} Whether cached data was applied
+   */
+  async function loadCachedData() {
+    try {
+      const [result, endpoint] = await Promise.all([
+        chrome.storage.local.get([CACHE_KEY]),
+        Endpoint.getActiveEndpoint()
+      ]);
+      const cache = result[CACHE_KEY];
+      if (!cache || !Array.isArray(cache.data) || cache.url !== endpoint.url) {
+        return false;
+      }
+
+      // Aliases must be loaded before names are resolved
+      await Names.load();
+
+      // Fresh data may have arrived while storage was being read
+      if (hasFetched) {
+        return false;
+      }
+
+      applyResponseData(cache.data, cache.fetchedAt, true, cache.report);
+      return true;
+    } catch (error) {
+      console.error('[API] Error loading cached data:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get API rows between two dates, including days the webhook no longer returns
+   * (served from the worker's IndexedDB archive)
+   * @param {Date|null} from - First day (open-ended when null)
+   * @param {Date|null} to - Last day (open-ended when null)
+   * @returns {Promise<ApiResponse>}
+   */
+  async function fetchRange(from, to) {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_API_DATA',
+      from: from ? Archive.dateToDayKey(from) : null,
+      to: to ? Archive.dateToDayKey(to) : null
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    return response.data;
+  }
+
+  /**
+   * Load archived assignments so DONE BY can be filled for older articles
+   * @returns {Promise<void>}
+   */
+  async function loadArchiveLookup() {
+    const from = new Date();
+    from.setDate(from.getDate() - ARCHIVE_LOOKUP_DAYS);
+    const items = await fetchRange(from, null);
+    await Names.load();
+    archivedHistoryMap = Assignments.buildHistory(items);
+  }
+
+  /**
+   * Apply data pushed by the background worker after a refresh
+   * @param {ApiResponse} data - API response
+   * @param {number} fetchedAt - When the data was fetched
+   * @param {DataQualityReport|null} report - Data-quality report
+   * @returns {Promise<boolean>} Whether the data was newer and applied
+   */
+  async function applyPushedData(data, fetchedAt, report) {
+    await Names.load();
+    if (!Array.isArray(data) || (dataFetchedAt && fetchedAt <= dataFetchedAt && !isFromCache)) {
+      return false;
+    }
+    applyResponseData(data, fetchedAt, false, report);
+    return true;
+  }
+
+  /**
+   * Ask the background worker to push fresh data to this tab
+   * @returns {Promise<void>}
+   */
+  async function subscribeToUpdates() {
+    try {
+      await chrome.runtime.sendMessage({ type: 'SUBSCRIBE_UPDATES' });
+    } catch (error) {
+      console.error('[API] Error subscribing to updates:', error);
+    }
+  }
+
+  /**
+   * Get data from the background worker, which owns the webhook requests
    * @param {boolean} forceRefresh - Force refresh even if already fetched
    * @returns {Promise<void>}
    */
   async function fetchDoneByData(forceRefresh = false) {
-    // If we already have data and not forcing refresh, skip
-    if (hasFetched && !forceRefresh) {
+    // If we already have fresh data and not forcing refresh, skip (cached data is always revalidated)
+    if (hasFetched && !isFromCache && !forceRefresh) {
       return;
     }
     
@@ -83,48 +287,24 @@ window.TableExtensionAPI = (function() {
     // Create the fetch promise
     fetchPromise = (async () => {
       try {
-        // Create a timeout promise
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Request timeout')), TIMEOUT);
-        });
-        
-        // Race between fetch and timeout
-        const response = await Promise.race([
-          fetch(API_URL, {
-            method: 'GET',
-            headers: {
-              'Accept': 'application/json',
-            },
-          }),
-          timeoutPromise
-        ]);
-        
-        // Check for error status codes (4xx, 5xx)
-        if (!response.ok || response.status >= 400) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        /** @type {ApiResponse} */
-        const data = await response.json();
-        
-        // Store the full API response data
-        apiResponseData = data;
-        
-        // Create a map of Article number -> Done by
-        articleDoneByMap.clear();
-        if (Array.isArray(data)) {
-          data.forEach(item => {
-            if (item['Article number'] && item['Done by']) {
-              articleDoneByMap.set(item['Article number'], item['Done by']);
-            }
-          });
+        // The worker shares one request between tabs and applies the endpoint settings
+        const response = await chrome.runtime.sendMessage({ type: 'GET_API_DATA', forceRefresh });
+        if (!response || !response.success) {
+          throw new Error(response?.error || 'No response from background');
         }
         
-        hasFetched = true;
+        // Aliases must be loaded before names are resolved
+        await Names.load();
+        applyResponseData(response.data, response.fetchedAt, false, response.report);
         
         return articleDoneByMap;
       } catch (error) {
-        hasFetched = false; // Reset flag on error so we can retry
+        retryState = null;
+
+        // Keep cached data on screen; without it, reset so we can retry
+        if (!isFromCache) {
+          hasFetched = false;
+        }
         throw error;
       } finally {
         isFetching = false;
@@ -138,9 +318,22 @@ window.TableExtensionAPI = (function() {
   // Public API
   return {
     getArticleMap,
+    getArticleHistory,
+    getArchivedHistory,
+    getCurrentAssignments,
     getApiResponseData,
     hasDataFetched,
     isCurrentlyFetching,
+    getDataTimestamp,
+    isDataFromCache,
+    getDataQualityReport,
+    getRetryState,
+    setRetryState,
+    loadCachedData,
+    applyPushedData,
+    subscribeToUpdates,
+    fetchRange,
+    loadArchiveLookup,
     fetchDoneByData
   };
 })();
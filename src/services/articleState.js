@@ -0,0 +1,257 @@
+// Article State - Status engine joining portal rows with the API - Global namespace
+// Uses `self` so the same file loads in the service worker, content script and popup
+//
+// One rule for the STATE column, the stats bar, the past-due check and both
+// unuploaded checks: an article still in the portal table is NOT uploaded, unless
+// its Action matches one of the configured rules. Articles that left the portal
+// count as uploaded.
+
+self.TableExtensionArticleState = (function() {
+  'use strict';
+
+  const UPLOADED = 'uploaded';
+  const NOT_UPLOADED = 'not-uploaded';
+  const PENDING_QA = 'pending-qa';
+  const NOT_IN_API = 'not-in-api';
+  const UNASSIGNED = 'unassigned';
+
+  const LABELS = {
+    [UPLOADED]: 'Uploaded',
+    [NOT_UPLOADED]: 'Not uploaded',
+    [PENDING_QA]: 'Pending QA',
+    [NOT_IN_API]: 'Not in API',
+    [UNASSIGNED]: 'Unassigned'
+  };
+
+  const RULES_KEY = 'uploadRules'; // sync
+  const DEFAULT_RULES = {
+    // Action contains (case-insensitive) -> Pending QA; "qa validation" is what the past-due check always skipped
+    pendingQAActions: ['pending qa validation', 'qa validation'],
+    uploadedActions: [],                        // Action contains -> Uploaded, although still listed
+    pendingQACountsAsUploaded: true
+  };
+
+  let rules = DEFAULT_RULES;
+  let loadPromise = null;
+
+  /**
+   * Clean up stored rules (lowercase, trimmed, no empty patterns)
+   * @param {Object} stored - Rules from storage (may be partial)
+   * @returns {Object}
+   */
+  function normalizeRules(stored) {
+    const merged = { ...DEFAULT_RULES, ...(stored || {}) };
+    const cleanPatterns = patterns => Array.from(new Set(
+      (Array.isArray(patterns) ? patterns : [])
+        .map(pattern => String(pattern).trim().toLowerCase())
+        .filter(Boolean)
+    ));
+    return {
+      pendingQAActions: cleanPatterns(merged.pendingQAActions),
+      uploadedActions: cleanPatterns(merged.uploadedActions),
+      pendingQACountsAsUploaded: merged.pendingQACountsAsUploaded !== false
+    };
+  }
+
+  /**
+   * Load the upload rules from sync storage
+   * @param {boolean} forceReload - Reload even if already loaded
+   * @returns {Promise<void>}
+   */
+  function load(forceReload = false) {
+    if (!loadPromise || forceReload) {
+      loadPromise = chrome.storage.sync.get([RULES_KEY])
+        .then(result => {
+          rules = normalizeRules(result[RULES_KEY]);
+        })
+        .catch(error => {
+          console.error('[ArticleState] Error loading upload rules:', error);
+        });
+    }
+    return loadPromise;
+  }
+
+  /**
+   * Get the rules in use
+   * @returns {Object}
+   */
+  function getRules() {
+    return rules;
+  }
+
+  /**
+   * Check an Action text against a list of patterns
+   * @param {string} actionText - Action cell text
+   * @param {Array<string>} patterns - Lowercase substrings
+   * @returns {boolean}
+   */
+  function actionMatches(actionText, patterns) {
+    const text = (actionText || '').toLowerCase();
+    return patterns.some(pattern => text.includes(pattern));
+  }
+
+  /**
+   * Check whether a portal Action means the file is waiting for QA
+   * @param {string} actionText - Action cell text
+   * @returns {boolean}
+   */
+  function isPendingQAAction(actionText) {
+    return actionMatches(actionText, rules.pendingQAActions);
+  }
+
+  /**
+   * Check whether a portal Action means the file is uploaded
+   * @param {string} actionText - Action cell text
+   * @returns {boolean}
+   */
+  function isUploadedAction(actionText) {
+    return actionMatches(actionText, rules.uploadedActions);
+  }
+
+  /**
+   * Index portal rows by article
+   * @param {Array<{articleId: string, action: string}>} rows - Portal rows
+   * @returns {{portalArticleIds: Set<string>, pendingQAArticleIds: Set<string>, uploadedArticleIds: Set<string>}}
+   */
+  function buildPortalIndex(rows) {
+    const portalArticleIds = new Set();
+    const pendingQAArticleIds = new Set();
+    const uploadedArticleIds = new Set();
+    rows.forEach(row => {
+      if (!row.articleId) return;
+      portalArticleIds.add(row.articleId);
+      if (isUploadedAction(row.action)) {
+        uploadedArticleIds.add(row.articleId);
+      } else if (isPendingQAAction(row.action)) {
+        pendingQAArticleIds.add(row.articleId);
+      }
+    });
+    return { portalArticleIds, pendingQAArticleIds, uploadedArticleIds };
+  }
+
+  /**
+   * Classify an article
+   * @param {Object} facts
+   * @param {boolean} facts.inPortal - Article is in a portal table
+   * @param {boolean} facts.pendingQA - Its Action matches a pending QA rule
+   * @param {boolean} [facts.uploadedAction] - Its Action matches an uploaded rule
+   * @param {boolean} facts.inApi - The API (or its archive) has a row for it
+   * @param {string} facts.doneBy - Current owner from the API ('' when none)
+   * @returns {string} One of the state constants
+   */
+  function classify({ inPortal, pendingQA, uploadedAction = false, inApi, doneBy }) {
+    if (!inPortal || uploadedAction) return UPLOADED;
+    if (pendingQA) return PENDING_QA;
+    if (!inApi) return NOT_IN_API;
+    if (!(doneBy || '').trim()) return UNASSIGNED;
+    return NOT_UPLOADED;
+  }
+
+  /**
+   * Classify the current API row of an article against the portal (stats bar,
+   * unuploaded checks). It starts from an API row, so the article is always in
+   * the API; for an article in the portal this gives the same state as
+   * classifyPortalRow(action, item['Done by']) does for its STATE badge.
+   * @param {Object} item - Current API row (see Assignments.getCurrentItems)
+   * @param {Object} portalIndex - See buildPortalIndex
+   * @returns {string}
+   */
+  function classifyItem(item, portalIndex) {
+    const articleId = item['Article number'] || '';
+    return classify({
+      inPortal: portalIndex.portalArticleIds.has(articleId),
+      pendingQA: portalIndex.pendingQAArticleIds.has(articleId),
+      uploadedAction: portalIndex.uploadedArticleIds.has(articleId),
+      inApi: true,
+      doneBy: item['Done by']
+    });
+  }
+
+  /**
+   * Classify a portal row (STATE column). Same rule as classifyItem, seen from
+   * the portal side, where the API may have no row for the article.
+   * @param {string} actionText - Action cell text
+   * @param {string|null} doneBy - Current owner from the API, or null when the API has no row
+   * @returns {string}
+   */
+  function classifyPortalRow(actionText, doneBy) {
+    return classify({
+      inPortal: true,
+      pendingQA: isPendingQAAction(actionText),
+      uploadedAction: isUploadedAction(actionText),
+      inApi: doneBy !== null,
+      doneBy: doneBy || ''
+    });
+  }
+
+  /**
+   * Classify a portal row from its Action alone (for checks that do not need the API)
+   * @param {string} actionText - Action cell text
+   * @returns {string} UPLOADED, PENDING_QA or NOT_UPLOADED
+   */
+  function classifyAction(actionText) {
+    return classifyPortalRow(actionText, '-');
+  }
+
+  /**
+   * Check whether a state counts as uploaded (pending QA counts unless the rules say otherwise)
+   * @param {string} state
+   * @returns {boolean}
+   */
+  function isUploaded(state) {
+    return state === UPLOADED || (state === PENDING_QA && rules.pendingQACountsAsUploaded);
+  }
+
+  /**
+   * Join one person's current API rows with the portal
+   * @param {Array<Object>} items - Current API row per article
+   * @param {Object} portalIndex - See buildPortalIndex
+   * @param {Function} isOwnedBy - (doneBy) => whether the row belongs to the person
+   * @returns {{articleIds: Array<string>, itemsCount: number}} Articles not uploaded, rows checked
+   */
+  function findUnuploaded(items, portalIndex, isOwnedBy) {
+    const articleIds = [];
+    let itemsCount = 0;
+
+    items.forEach(item => {
+      if (!isOwnedBy(item['Done by'])) return;
+      itemsCount++;
+      const articleId = item['Article number'] || '';
+      if (articleId && !isUploaded(classifyItem(item, portalIndex))) {
+        articleIds.push(articleId);
+      }
+    });
+
+    return { articleIds, itemsCount };
+  }
+
+  // Keep the rules current when they are edited in the popup
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[RULES_KEY]) {
+      load(true);
+    }
+  });
+
+  return {
+    UPLOADED,
+    NOT_UPLOADED,
+    PENDING_QA,
+    NOT_IN_API,
+    UNASSIGNED,
+    LABELS,
+    RULES_KEY,
+    DEFAULT_RULES,
+    normalizeRules,
+    load,
+    getRules,
+    isPendingQAAction,
+    isUploadedAction,
+    buildPortalIndex,
+    classify,
+    classifyItem,
+    classifyPortalRow,
+    classifyAction,
+    isUploaded,
+    findUnuploaded
+  };
+})();
@@ -0,0 +1,119 @@
+// Assignments - Per-article assignment history from the API rows - Global namespace
+// Uses `self` so the same file loads in the service worker and content script
+//
+// An article can appear on several dates or be reassigned. The rule used everywhere
+// (DONE BY column, stats, background checks) is: the CURRENT assignment is the row
+// with the latest Date; rows on the same date are ordered by row_number, so the one
+// further down the sheet wins. Rows without a valid date sort first.
+
+/**
+ * @typedef {Object} AssignmentEntry
+ * @property {string} date - DD/MM/YYYY as in the sheet
+ * @property {string} doneBy - Done by as in the sheet
+ * @property {number|null} pages
+ * @property {string|number|null} time
+ * @property {string} completed
+ * @property {number|null} rowNumber
+ */
+
+self.TableExtensionAssignments = (function() {
+  'use strict';
+
+  /**
+   * Parse DD/MM/YYYY to a timestamp
+   * @param {string} dateStr - Date string
+   * @returns {number} Timestamp, or -Infinity when invalid
+   */
+  function getDateValue(dateStr) {
+    const parts = (dateStr || '').trim().split('/').map(Number);
+    if (parts.length !== 3 || parts.some(part => !part)) return -Infinity;
+    const [day, month, year] = parts;
+    return new Date(year, month - 1, day).getTime();
+  }
+
+  /**
+   * Order API rows oldest first (date, then sheet row)
+   * @param {Object} a - API item
+   * @param {Object} b - API item
+   * @returns {number}
+   */
+  function compareRows(a, b) {
+    const dateDiff = getDateValue(a.Date) - getDateValue(b.Date);
+    if (dateDiff !== 0 && !Number.isNaN(dateDiff)) return dateDiff;
+    return (a.row_number ?? 0) - (b.row_number ?? 0);
+  }
+
+  /**
+   * Group API rows by article, oldest first
+   * @param {Array<Object>} items - API items
+   * @returns {Map<string, Array<Object>>} Article number -> rows
+   */
+  function groupByArticle(items) {
+    const groups = new Map();
+    (items || []).forEach(item => {
+      const articleId = item['Article number'];
+      if (!articleId) return;
+      if (!groups.has(articleId)) {
+        groups.set(articleId, []);
+      }
+      groups.get(articleId).push(item);
+    });
+    groups.forEach(rows => rows.sort(compareRows));
+    return groups;
+  }
+
+  /**
+   * Build the assignment history of every article
+   * @param {Array<Object>} items - API items
+   * @returns {Map<string, Array<AssignmentEntry>>} Article number -> entries, oldest first
+   */
+  function buildHistory(items) {
+    const history = new Map();
+    groupByArticle(items).forEach((rows, articleId) => {
+      history.set(articleId, rows.map(row => ({
+        date: row.Date || '',
+        doneBy: row['Done by'] || '',
+        pages: row.Pages ?? null,
+        time: row.Time ?? null,
+        completed: row.Completed || '',
+        rowNumber: row.row_number ?? null
+      })));
+    });
+    return history;
+  }
+
+  /**
+   * Keep only the current row of each article (see the rule above)
+   * @param {Array<Object>} items - API items
+   * @returns {Array<Object>} One API item per article
+   */
+  function getCurrentItems(items) {
+    return Array.from(groupByArticle(items).values(), rows => rows[rows.length - 1]);
+  }
+
+  /**
+   * Names that held the article before its current owner
+   * @param {Array<AssignmentEntry>} entries - Article history, oldest first
+   * @param {Function} resolveName - Maps a sheet name to its canonical name
+   * @returns {Array<string>} Distinct earlier owners (canonical), oldest first
+   */
+  function getPreviousOwners(entries, resolveName) {
+    if (!entries || entries.length < 2) return [];
+    const current = resolveName(entries[entries.length - 1].doneBy);
+    const owners = [];
+    entries.slice(0, -1).forEach(entry => {
+      const name = resolveName(entry.doneBy);
+      if (name && name !== current && !owners.includes(name)) {
+        owners.push(name);
+      }
+    });
+    return owners;
+  }
+
+  return {
+    compareRows,
+    buildHistory,
+    getCurrentItems,
+    getPreviousOwners
+  };
+})();
@@ -0,0 +1,317 @@
+// Endpoint Config - Data source settings per environment - Global namespace
+// Uses `self` so the same file loads in the service worker, content script and popup
+
+/**
+ * @typedef {Object} EndpointSettings
+ * @property {string} url - Webhook URL
+ * @property {string} authHeader - Header name for the token (default "Authorization")
+ * @property {string} authToken - Header value, e.g. "Bearer abc" (empty for no auth)
+ * @property {number} timeoutSeconds - Request timeout (per attempt)
+ * @property {number} maxAttempts - Attempts for 5xx, timeout and network errors (1 = no retry)
+ */
+
+self.TableExtensionEndpoint = (function() {
+  'use strict';
+
+  const SETTINGS_KEY = 'apiSettings'; // sync: { activeEnvironment, environments: { name: EndpointSettings without authToken } }
+  const AUTH_TOKENS_KEY = 'apiAuthTokens'; // local: { environmentName: authToken } (kept off sync so secrets stay on this device)
+  const DEFAULT_ENVIRONMENT = 'production';
+  const DEFAULT_AUTH_HEADER = 'Authorization';
+  const MIN_TIMEOUT_SECONDS = 5;
+  const MAX_TIMEOUT_SECONDS = 120;
+  const MAX_ATTEMPTS = 6;
+  const RETRY_BASE_DELAY_MS = 1000;
+  const RETRY_MAX_DELAY_MS = 15000;
+
+  /** @type {EndpointSettings} */
+  const DEFAULT_ENDPOINT = {
+    url: 'https://n8n-ex6e.onrender.com/webhook/last-five-days-files',
+    authHeader: DEFAULT_AUTH_HEADER,
+    authToken: '',
+    timeoutSeconds: 20,
+    maxAttempts: 4
+  };
+
+  // Fields every API item must have for the extension to use it
+  const REQUIRED_FIELDS = ['Article number', 'Done by', 'Date'];
+
+  /**
+   * Fill missing fields and clamp the timeout
+   * @param {Object} endpoint - Stored endpoint settings
+   * @returns {EndpointSettings}
+   */
+  function normalizeEndpoint(endpoint) {
+    const merged = { ...DEFAULT_ENDPOINT, ...(endpoint || {}) };
+    const timeout = Number(merged.timeoutSeconds) || DEFAULT_ENDPOINT.timeoutSeconds;
+    merged.timeoutSeconds = Math.max(MIN_TIMEOUT_SECONDS, Math.min(MAX_TIMEOUT_SECONDS, timeout));
+    const attempts = Math.round(Number(merged.maxAttempts)) || DEFAULT_ENDPOINT.maxAttempts;
+    merged.maxAttempts = Math.max(1, Math.min(MAX_ATTEMPTS, attempts));
+    merged.authHeader = (merged.authHeader || '').trim() || DEFAULT_AUTH_HEADER;
+    merged.url = (merged.url || '').trim();
+    return merged;
+  }
+
+  /**
+   * Split the auth tokens out of the settings
+   * @param {{activeEnvironment: string, environments: Object<string, EndpointSettings>}} settings
+   * @returns {{syncSettings: Object, tokens: Object<string, string>}}
+   */
+  function splitAuthTokens(settings) {
+    const environments = {};
+    const tokens = {};
+    Object.keys(settings.environments || {}).forEach(name => {
+      const { authToken, ...endpoint } = settings.environments[name] || {};
+      environments[name] = endpoint;
+      if (authToken) {
+        tokens[name] = authToken;
+      }
+    });
+    return { syncSettings: { ...settings, environments }, tokens };
+  }
+
+  /**
+   * Get all settings (environments and the active one), with the tokens from local storage
+   * @returns {Promise<{activeEnvironment: string, environments: Object<string, EndpointSettings>}>}
+   */
+  async function getSettings() {
+    try {
+      const [syncResult, localResult] = await Promise.all([
+        chrome.storage.sync.get([SETTINGS_KEY]),
+        chrome.storage.local.get([AUTH_TOKENS_KEY])
+      ]);
+      const settings = syncResult[SETTINGS_KEY];
+      const tokens = localResult[AUTH_TOKENS_KEY] || {};
+      if (settings && settings.environments && Object.keys(settings.environments).length > 0) {
+        const environments = {};
+        let hasSyncedToken = false;
+        Object.keys(settings.environments).forEach(name => {
+          const endpoint = settings.environments[name] || {};
+          // Tokens saved to sync by older versions are used, then moved to local below
+          hasSyncedToken = hasSyncedToken || Boolean(endpoint.authToken);
+          environments[name] = { ...endpoint, authToken: tokens[name] || endpoint.authToken || '' };
+        });
+        const merged = { ...settings, environments };
+        if (hasSyncedToken) {
+          await saveSettings(merged);
+        }
+        return merged;
+      }
+    } catch (error) {
+      console.error('[Endpoint] Error loading settings:', error);
+    }
+    return {
+      activeEnvironment: DEFAULT_ENVIRONMENT,
+      environments: { [DEFAULT_ENVIRONMENT]: { ...DEFAULT_ENDPOINT } }
+    };
+  }
+
+  /**
+   * Save all settings: URL and environments to sync, auth tokens to local
+   * @param {{activeEnvironment: string, environments: Object<string, EndpointSettings>}} settings
+   * @returns {Promise<void>}
+   */
+  async function saveSettings(settings) {
+    const { syncSettings, tokens } = splitAuthTokens(settings);
+    await chrome.storage.local.set({ [AUTH_TOKENS_KEY]: tokens });
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: syncSettings });
+  }
+
+  /**
+   * Get the endpoint of the active environment
+   * @returns {Promise<EndpointSettings & {environment: string}>}
+   */
+  async function getActiveEndpoint() {
+    const settings = await getSettings();
+    const name = settings.environments[settings.activeEnvironment]
+      ? settings.activeEnvironment
+      : Object.keys(settings.environments)[0];
+    return { ...normalizeEndpoint(settings.environments[name]), environment: name };
+  }
+
+  /**
+   * Build fetch options for an endpoint (auth header included when a token is set)
+   * @param {EndpointSettings} endpoint
+   * @returns {RequestInit}
+   */
+  function buildRequestInit(endpoint) {
+    const headers = { 'Accept': 'application/json' };
+    if (endpoint.authToken) {
+      headers[endpoint.authHeader || DEFAULT_AUTH_HEADER] = endpoint.authToken;
+    }
+    return { method: 'GET', headers };
+  }
+
+  /**
+   * Delay before the next attempt: exponential backoff with full jitter
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in ms
+   */
+  function getRetryDelay(attempt) {
+    const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  /**
+   * Wait for a delay unless the request is cancelled first
+   * @param {number} ms - Delay
+   * @param {AbortSignal} [signal] - Cancels the wait
+   * @returns {Promise<void>}
+   */
+  function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      function onAbort() {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Make one request with its own timeout; errors worth retrying are marked `retryable`
+   * @param {EndpointSettings} endpoint
+   * @param {AbortSignal} [signal] - Cancels the request
+   * @returns {Promise<*>} Parsed JSON
+   */
+  async function requestOnce(endpoint, signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      controller.abort(new Error(`Request timeout after ${endpoint.timeoutSeconds}s`));
+    }, endpoint.timeoutSeconds * 1000);
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await fetch(endpoint.url, { ...buildRequestInit(endpoint), signal: controller.signal });
+      if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.retryable = response.status >= 500;
+        throw error;
+      }
+      return await response.json();
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      if (controller.signal.aborted) {
+        const timeoutError = controller.signal.reason;
+        timeoutError.retryable = true;
+        throw timeoutError;
+      }
+      // fetch() rejects with a TypeError on network failures
+      if (error instanceof TypeError) {
+        error.retryable = true;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Request the endpoint, retrying 5xx, timeout and network errors with jittered backoff
+   * @param {EndpointSettings} endpoint
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+   * @param {Function} [options.onRetry] - Called with {attempt, maxAttempts, delayMs, error} before each retry
+   * @returns {Promise<*>} Parsed JSON
+   */
+  async function requestWithRetry(endpoint, { signal, onRetry } = {}) {
+    const normalized = normalizeEndpoint(endpoint);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await requestOnce(normalized, signal);
+      } catch (error) {
+        if (signal?.aborted || !error.retryable || attempt >= normalized.maxAttempts) {
+          throw error;
+        }
+
+        const delayMs = getRetryDelay(attempt);
+        if (onRetry) {
+          onRetry({ attempt: attempt + 1, maxAttempts: normalized.maxAttempts, delayMs, error: error.message });
+        }
+        await waitForRetry(delayMs, signal);
+      }
+    }
+  }
+
+  /**
+   * Check that a response looks like the webhook payload
+   * @param {*} data - Parsed JSON
+   * @returns {{valid: boolean, itemCount: number, errors: Array<string>}}
+   */
+  function validateResponseShape(data) {
+    if (!Array.isArray(data)) {
+      return { valid: false, itemCount: 0, errors: ['Response is not an array'] };
+    }
+
+    const errors = [];
+    const sample = data.slice(0, 20);
+    REQUIRED_FIELDS.forEach(field => {
+      const missing = sample.filter(item => !item || typeof item !== 'object' || !(field in item)).length;
+      if (missing > 0) {
+        errors.push(`"${field}" missing in ${missing} of the first ${sample.length} items`);
+      }
+    });
+
+    return { valid: errors.length === 0, itemCount: data.length, errors };
+  }
+
+  /**
+   * Request the endpoint once and validate the response shape
+   * @param {EndpointSettings} endpoint
+   * @returns {Promise<{ok: boolean, message: string, durationMs: number}>}
+   */
+  async function testConnection(endpoint) {
+    const normalized = normalizeEndpoint(endpoint);
+    const startedAt = Date.now();
+
+    try {
+      const response = await fetch(normalized.url, {
+        ...buildRequestInit(normalized),
+        signal: AbortSignal.timeout(normalized.timeoutSeconds * 1000)
+      });
+      const durationMs = Date.now() - startedAt;
+
+      if (!response.ok) {
+        return { ok: false, message: `HTTP ${response.status}`, durationMs };
+      }
+
+      const data = await response.json();
+      const { valid, itemCount, errors } = validateResponseShape(data);
+      return valid
+        ? { ok: true, message: `OK - ${itemCount} items in ${durationMs} ms`, durationMs }
+        : { ok: false, message: errors.join('; '), durationMs };
+    } catch (error) {
+      const durationMs = Date.now() - startedAt;
+      const message = error.name === 'TimeoutError'
+        ? `Timed out after ${normalized.timeoutSeconds}s`
+        : error.message;
+      return { ok: false, message, durationMs };
+    }
+  }
+
+  return {
+    SETTINGS_KEY,
+    AUTH_TOKENS_KEY,
+    DEFAULT_ENDPOINT,
+    normalizeEndpoint,
+    getSettings,
+    saveSettings,
+    getActiveEndpoint,
+    buildRequestInit,
+    requestWithRetry,
+    validateResponseShape,
+    testConnection
+  };
+})();
@@ -0,0 +1,182 @@
+// Format Rules - Conditional row formatting rules - Global namespace
+// Uses `self` so the same file loads in the service worker, content script and popup
+//
+// Rules are checked top to bottom. Every matching rule contributes the style
+// properties that no earlier rule has set, so an earlier rule wins where two
+// set the same property; a rule marked `stop` ends the list for that row.
+
+/**
+ * @typedef {Object} FormatRule
+ * @property {string} id
+ * @property {boolean} enabled
+ * @property {string} column - One of COLUMNS
+ * @property {string} operator - One of the OPERATORS keys
+ * @property {string} value - Text to compare, or hours for dueWithinHours
+ * @property {{background: string, color: string, bold: boolean, badge: string}} style
+ * @property {boolean} stop - Skip the rules below when this one matches
+ */
+
+self.TableExtensionFormatRules = (function() {
+  'use strict';
+
+  const RULES_KEY = 'formatRules'; // sync: Array<FormatRule>
+  const LEGACY_HIGHLIGHT_RULES_KEY = 'highlightRules'; // sync (old): { name: color }
+
+  const DATE_COLUMN = 'Due Date';
+  const COLUMNS = ['DONE BY', 'SRC', 'Client', 'Journal', 'Priority', 'Status', DATE_COLUMN];
+
+  const OPERATORS = {
+    equals: 'is',
+    notEquals: 'is not',
+    contains: 'contains',
+    isEmpty: 'is empty',
+    overdue: 'is past',
+    dueWithinHours: 'is within (hours)'
+  };
+  const TEXT_OPERATORS = ['equals', 'notEquals', 'contains', 'isEmpty'];
+  const DATE_OPERATORS = ['overdue', 'dueWithinHours', 'isEmpty'];
+
+  // Same look as the old hard-coded SRC colors and Ruchi highlight
+  const DEFAULT_SRC_RULES = [
+    { column: 'SRC', operator: 'equals', value: 'DOCX', style: { background: '#eeeeee' } },
+    { column: 'SRC', operator: 'equals', value: 'TEX', style: { background: '#e5e5e5' } }
+  ];
+  const DEFAULT_HIGHLIGHTS = { 'Ruchi': '#e3f2fd' };
+
+  /**
+   * Create a rule with every field filled in
+   * @param {Object} [fields] - Fields to set
+   * @returns {FormatRule}
+   */
+  function createRule(fields = {}) {
+    const style = fields.style || {};
+    return {
+      id: fields.id || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+      enabled: fields.enabled !== false,
+      column: COLUMNS.includes(fields.column) ? fields.column : COLUMNS[0],
+      operator: OPERATORS[fields.operator] ? fields.operator : 'equals',
+      value: fields.value == null ? '' : String(fields.value),
+      style: {
+        background: style.background || '',
+        color: style.color || '',
+        bold: style.bold === true,
+        badge: style.badge || ''
+      },
+      stop: fields.stop === true
+    };
+  }
+
+  /**
+   * Clean up a stored rule list
+   * @param {*} rules - Rules from storage
+   * @returns {Array<FormatRule>}
+   */
+  function normalizeRules(rules) {
+    return Array.isArray(rules) ? rules.map(createRule) : [];
+  }
+
+  /**
+   * Build a rule list from the old name -> color highlights (SRC rules first,
+   * as the SRC cell colors used to paint over row highlights)
+   * @param {Object<string, string>} [highlightRules] - Old highlights (defaults when omitted)
+   * @returns {Array<FormatRule>}
+   */
+  function migrateHighlightRules(highlightRules = DEFAULT_HIGHLIGHTS) {
+    const nameRules = Object.keys(highlightRules).map(name => ({
+      column: 'DONE BY', operator: 'equals', value: name, style: { background: highlightRules[name] }
+    }));
+    return [...DEFAULT_SRC_RULES, ...nameRules].map((rule, index) => createRule({ ...rule, id: `rule-default-${index}` }));
+  }
+
+  /**
+   * Operators that make sense for a column
+   * @param {string} column
+   * @returns {Array<string>}
+   */
+  function getOperators(column) {
+    return column === DATE_COLUMN ? DATE_OPERATORS : TEXT_OPERATORS;
+  }
+
+  /**
+   * Check one rule against a row
+   * @param {FormatRule} rule
+   * @param {Object<string, string>} values - Column -> cell text
+   * @param {Object} context
+   * @param {Date} context.now
+   * @param {Function} context.parseDate - Cell text -> Date|null
+   * @param {Function} context.namesMatch - (a, b) -> same person (DONE BY "is")
+   * @returns {boolean}
+   */
+  function matchesRule(rule, values, context) {
+    const text = (values[rule.column] || '').trim();
+    if (text === '' || text === '-') {
+      return rule.operator === 'isEmpty';
+    }
+
+    const expected = rule.value.trim().toLowerCase();
+    switch (rule.operator) {
+      case 'equals':
+        return rule.column === 'DONE BY'
+          ? context.namesMatch(rule.value, text)
+          : text.toLowerCase() === expected;
+      case 'notEquals':
+        return rule.column === 'DONE BY'
+          ? !context.namesMatch(rule.value, text)
+          : text.toLowerCase() !== expected;
+      case 'contains':
+        return expected !== '' && text.toLowerCase().includes(expected);
+      case 'overdue': {
+        const date = context.parseDate(text);
+        return Boolean(date) && date < context.now;
+      }
+      case 'dueWithinHours': {
+        const date = context.parseDate(text);
+        const hours = parseFloat(rule.value);
+        if (!date || isNaN(hours)) return false;
+        const diffMs = date - context.now;
+        return diffMs >= 0 && diffMs <= hours * 60 * 60 * 1000;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Work out the style of a row from the rules (see precedence above)
+   * @param {Array<FormatRule>} rules - Ordered rules
+   * @param {Object<string, string>} values - Column -> cell text
+   * @param {Object} context - See matchesRule
+   * @returns {{background: string, color: string, bold: boolean, badges: Array<{column: string, text: string}>, ruleIds: Array<string>}}
+   */
+  function resolveStyle(rules, values, context) {
+    const result = { background: '', color: '', bold: false, badges: [], ruleIds: [] };
+
+    for (const rule of rules) {
+      if (!rule.enabled || !matchesRule(rule, values, context)) continue;
+
+      result.ruleIds.push(rule.id);
+      if (!result.background && rule.style.background) result.background = rule.style.background;
+      if (!result.color && rule.style.color) result.color = rule.style.color;
+      if (rule.style.bold) result.bold = true;
+      if (rule.style.badge && !result.badges.some(badge => badge.column === rule.column)) {
+        result.badges.push({ column: rule.column, text: rule.style.badge });
+      }
+      if (rule.stop) break;
+    }
+
+    return result;
+  }
+
+  return {
+    RULES_KEY,
+    LEGACY_HIGHLIGHT_RULES_KEY,
+    COLUMNS,
+    OPERATORS,
+    createRule,
+    normalizeRules,
+    migrateHighlightRules,
+    getOperators,
+    matchesRule,
+    resolveStyle
+  };
+})();
@@ -0,0 +1,103 @@
+// Name Aliases - Resolves "Done by" spellings to canonical roster names - Global namespace
+// Uses `self` so the same file loads in the service worker, content script and popup
+
+self.TableExtensionNames = (function() {
+  'use strict';
+
+  const ALIASES_KEY = 'nameAliases'; // sync: { canonical: [variant, ...] }
+  const PROFILES_STORAGE_KEY = 'profilesList';
+
+  // Normalized key -> canonical name
+  let canonicalByKey = new Map();
+  let loadPromise = null;
+
+  /**
+   * Normalize a name for matching (case- and whitespace-insensitive)
+   * @param {string} name - Raw name
+   * @returns {string}
+   */
+  function normalizeKey(name) {
+    return typeof name === 'string' ? name.replace(/\s+/g, '').toLowerCase() : '';
+  }
+
+  /**
+   * Build the lookup from the roster and alias map
+   * @param {Array<string>} roster - Roster names (canonical)
+   * @param {Object<string, Array<string>>} aliases - Canonical name -> variants
+   */
+  function buildIndex(roster, aliases) {
+    const index = new Map();
+
+    roster.forEach(name => {
+      index.set(normalizeKey(name), name);
+    });
+
+    Object.keys(aliases).forEach(canonical => {
+      index.set(normalizeKey(canonical), canonical);
+      (aliases[canonical] || []).forEach(variant => {
+        const key = normalizeKey(variant);
+        // A variant never overrides a canonical name
+        if (key && !index.has(key)) {
+          index.set(key, canonical);
+        }
+      });
+    });
+
+    canonicalByKey = index;
+  }
+
+  /**
+   * Load roster and aliases from sync storage
+   * @param {boolean} forceReload - Reload even if already loaded
+   * @returns {Promise<void>}
+   */
+  function load(forceReload = false) {
+    if (!loadPromise || forceReload) {
+      loadPromise = chrome.storage.sync.get([PROFILES_STORAGE_KEY, ALIASES_KEY])
+        .then(result => {
+          buildIndex(result[PROFILES_STORAGE_KEY] || [], result[ALIASES_KEY] || {});
+        })
+        .catch(error => {
+          console.error('[Names] Error loading aliases:', error);
+        });
+    }
+    return loadPromise;
+  }
+
+  /**
+   * Resolve a raw name to its canonical name
+   * @param {string} name - Raw name (e.g. "divyasnh ")
+   * @returns {string} - Canonical name, the trimmed raw name if unknown, or '' if empty
+   */
+  function resolveName(name) {
+    const key = normalizeKey(name);
+    if (!key) return '';
+    return canonicalByKey.get(key) || name.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Check if two raw names refer to the same person
+   * @param {string} nameA
+   * @param {string} nameB
+   * @returns {boolean}
+   */
+  function namesMatch(nameA, nameB) {
+    const keyA = normalizeKey(resolveName(nameA));
+    return keyA !== '' && keyA === normalizeKey(resolveName(nameB));
+  }
+
+  // Keep the lookup current when the roster or aliases are edited
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && (changes[PROFILES_STORAGE_KEY] || changes[ALIASES_KEY])) {
+      load(true);
+    }
+  });
+
+  return {
+    ALIASES_KEY,
+    normalizeKey,
+    load,
+    resolveName,
+    namesMatch
+  };
+})();
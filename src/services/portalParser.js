@@ -0,0 +1,161 @@
+// Portal Parser - Parses the vendorWorkflow #article_data table into rows - Global namespace
+
+/**
+ * @typedef {Object} PortalRow
+ * @property {string} client
+ * @property {string} journal
+ * @property {string} articleId
+ * @property {string} src
+ * @property {string} msp
+ * @property {string} status
+ * @property {string} assignDate - "DD/MM/YYYY HH:MM AM/PM" as shown in the portal
+ * @property {string} dueDate - "DD/MM/YYYY HH:MM AM/PM" as shown in the portal
+ * @property {string} priority
+ * @property {string} action
+ */
+
+/**
+ * @typedef {Object} PortalParseResult
+ * @property {boolean} tableFound - Whether #article_data was present
+ * @property {string[]} columns - Row model keys found in the header, in table order
+ * @property {PortalRow[]} rows
+ */
+
+window.TableExtensionPortalParser = (function() {
+  'use strict';
+
+  const TABLE_ID = 'article_data';
+
+  // Portal header text (lowercase) -> PortalRow key. Headers match when their
+  // text starts with or contains the pattern, so extra label text still maps.
+  const COLUMN_KEYS = {
+    'client': 'client',
+    'journal': 'journal',
+    'article id': 'articleId',
+    'src': 'src',
+    'msp': 'msp',
+    'status': 'status',
+    'assign date': 'assignDate',
+    'due date': 'dueDate',
+    'priority': 'priority',
+    'action': 'action'
+  };
+
+  /**
+   * Get normalized text content of an element
+   * @param {Element} element
+   * @returns {string}
+   */
+  function getText(element) {
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  /**
+   * Create an empty row with every column set to ''
+   * @returns {PortalRow}
+   */
+  function createEmptyRow() {
+    const row = {};
+    Object.values(COLUMN_KEYS).forEach(key => {
+      row[key] = '';
+    });
+    return row;
+  }
+
+  /**
+   * Find the header row of the table (last row of thead, or first row with th cells)
+   * @param {HTMLTableElement} table
+   * @returns {HTMLTableRowElement|null}
+   */
+  function findHeaderRow(table) {
+    if (table.tHead && table.tHead.rows.length > 0) {
+      return table.tHead.rows[table.tHead.rows.length - 1];
+    }
+    return Array.from(table.rows).find(row =>
+      Array.from(row.cells).some(cell => cell.tagName === 'TH')
+    ) || null;
+  }
+
+  /**
+   * Map each header cell to its row model key
+   * @param {HTMLTableRowElement} headerRow
+   * @returns {Array<string|null>} - Key per column index (null for unknown columns)
+   */
+  function getColumnKeys(headerRow) {
+    const patterns = Object.keys(COLUMN_KEYS);
+    const usedKeys = new Set();
+
+    // row.cells only contains direct cells, so nested tables never shift indices
+    return Array.from(headerRow.cells).map(cell => {
+      const text = getText(cell).toLowerCase();
+      const pattern = patterns.find(candidate => text === candidate) ||
+        patterns.find(candidate => text.startsWith(candidate)) ||
+        patterns.find(candidate => text.includes(candidate));
+      const key = pattern ? COLUMN_KEYS[pattern] : null;
+
+      // The first column wins if two headers match the same key
+      if (!key || usedKeys.has(key)) return null;
+      usedKeys.add(key);
+      return key;
+    });
+  }
+
+  /**
+   * Parse the article table from a document
+   * @param {Document} doc
+   * @returns {PortalParseResult}
+   */
+  function parseDocument(doc) {
+    const table = doc.getElementById(TABLE_ID);
+    if (!table || table.tagName !== 'TABLE') {
+      return { tableFound: false, columns: [], rows: [] };
+    }
+
+    const headerRow = findHeaderRow(table);
+    if (!headerRow) {
+      return { tableFound: true, columns: [], rows: [] };
+    }
+
+    const columnKeys = getColumnKeys(headerRow);
+    const rows = [];
+
+    Array.from(table.tBodies).forEach(tbody => {
+      Array.from(tbody.rows).forEach(tr => {
+        const cells = Array.from(tr.cells);
+        const row = createEmptyRow();
+
+        columnKeys.forEach((key, index) => {
+          if (key && cells[index]) {
+            row[key] = getText(cells[index]);
+          }
+        });
+
+        // Skips placeholder rows such as "No data available in table"
+        if (row.articleId) {
+          rows.push(row);
+        }
+      });
+    });
+
+    return {
+      tableFound: true,
+      columns: columnKeys.filter(Boolean),
+      rows
+    };
+  }
+
+  /**
+   * Parse the article table from an HTML string
+   * @param {string} html - Full portal page HTML
+   * @returns {PortalParseResult}
+   */
+  function parseHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return parseDocument(doc);
+  }
+
+  return {
+    parseDocument,
+    parseHtml
+  };
+})();
@@ -0,0 +1,33 @@
+// Priority Order - How the Priority column sorts - Global namespace
+// Uses `self` so the same file loads in the content script and popup
+
+self.TableExtensionPriorityOrder = (function() {
+  'use strict';
+
+  const ORDER_KEY = 'priorityOrder'; // sync: Array<string>, first to last when sorting ascending
+  const DEFAULT_ORDER = ['High', 'Medium', 'Low'];
+
+  /**
+   * Clean up a stored order (trimmed, no blanks or repeats; defaults when empty)
+   * @param {*} order - Order from storage
+   * @returns {Array<string>}
+   */
+  function normalizeOrder(order) {
+    const seen = new Set();
+    const values = (Array.isArray(order) ? order : [])
+      .map(value => String(value).trim())
+      .filter(value => {
+        const key = value.toLowerCase();
+        if (!value || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    return values.length > 0 ? values : DEFAULT_ORDER.slice();
+  }
+
+  return {
+    ORDER_KEY,
+    DEFAULT_ORDER,
+    normalizeOrder
+  };
+})();
@@ -0,0 +1,132 @@
+// Roster Discovery - Tracks "Done by" names seen in the API - Global namespace
+// Uses `self` so the same file loads in the service worker and popup
+
+self.TableExtensionRosterDiscovery = (function() {
+  'use strict';
+
+  const SEEN_NAMES_KEY = 'doneBySeenNames'; // local: { name: lastSeenTimestamp }
+  const SEEN_SINCE_KEY = 'doneBySeenSince'; // local: when recording started
+  const DISMISSED_NAMES_KEY = 'dismissedDoneByNames'; // sync: names not to suggest
+  const STALE_DAYS_KEY = 'rosterStaleDays'; // sync
+  const PROFILES_STORAGE_KEY = 'profilesList';
+  const DEFAULT_STALE_DAYS = 14;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const Names = self.TableExtensionNames;
+
+  /**
+   * Collect distinct "Done by" names from API items
+   * @param {Array<Object>} items - API response items
+   * @returns {Set<string>}
+   */
+  function collectDoneByNames(items) {
+    const names = new Set();
+    if (!Array.isArray(items)) return names;
+
+    items.forEach(item => {
+      const name = typeof item['Done by'] === 'string' ? item['Done by'].trim() : '';
+      if (name && name !== '-') {
+        names.add(name);
+      }
+    });
+    return names;
+  }
+
+  /**
+   * Record that names appeared in an API response
+   * @param {Array<Object>} items - API response items
+   * @returns {Promise<void>}
+   */
+  async function recordDoneByNames(items) {
+    const names = collectDoneByNames(items);
+    if (names.size === 0) return;
+
+    try {
+      const result = await chrome.storage.local.get([SEEN_NAMES_KEY, SEEN_SINCE_KEY]);
+      const seenNames = result[SEEN_NAMES_KEY] || {};
+      const now = Date.now();
+
+      names.forEach(name => {
+        seenNames[name] = now;
+      });
+
+      const updates = { [SEEN_NAMES_KEY]: seenNames };
+      if (!result[SEEN_SINCE_KEY]) {
+        updates[SEEN_SINCE_KEY] = now;
+      }
+      await chrome.storage.local.set(updates);
+    } catch (error) {
+      console.error('[RosterDiscovery] Error recording names:', error);
+    }
+  }
+
+  /**
+   * Get roster suggestions: API names missing from the roster, and roster
+   * names that have not appeared in the API for the configured number of days
+   * @returns {Promise<{unknownNames: Array<string>, staleNames: Array<{name: string, lastSeen: number|null}>, staleDays: number}>}
+   */
+  async function getRosterSuggestions() {
+    const [localData, syncData] = await Promise.all([
+      chrome.storage.local.get([SEEN_NAMES_KEY, SEEN_SINCE_KEY]),
+      chrome.storage.sync.get([PROFILES_STORAGE_KEY, DISMISSED_NAMES_KEY, STALE_DAYS_KEY])
+    ]);
+
+    const seenNames = localData[SEEN_NAMES_KEY] || {};
+    const seenSince = localData[SEEN_SINCE_KEY] || Date.now();
+    const roster = syncData[PROFILES_STORAGE_KEY] || [];
+    const dismissed = syncData[DISMISSED_NAMES_KEY] || [];
+    const staleDays = syncData[STALE_DAYS_KEY] || DEFAULT_STALE_DAYS;
+    const staleBefore = Date.now() - staleDays * DAY_MS;
+
+    // Compare through aliases so known spelling variants are neither suggested nor flagged
+    await Names.load();
+    const rosterKeys = new Set(roster.map(name => Names.normalizeKey(name)));
+    const dismissedKeys = new Set(dismissed.map(name => Names.normalizeKey(name)));
+
+    const unknownByKey = new Map();
+    const lastSeenByKey = new Map();
+    Object.keys(seenNames).forEach(name => {
+      const resolved = Names.resolveName(name);
+      const key = Names.normalizeKey(resolved);
+      lastSeenByKey.set(key, Math.max(lastSeenByKey.get(key) || 0, seenNames[name]));
+      if (!rosterKeys.has(key) && !dismissedKeys.has(Names.normalizeKey(name)) && !unknownByKey.has(key)) {
+        unknownByKey.set(key, resolved);
+      }
+    });
+    const unknownNames = Array.from(unknownByKey.values()).sort();
+
+    const staleNames = [];
+    roster.forEach(name => {
+      const lastSeen = lastSeenByKey.get(Names.normalizeKey(name)) || null;
+      // Never-seen names are only stale once we have been recording long enough to tell
+      const isStale = lastSeen ? lastSeen < staleBefore : seenSince < staleBefore;
+      if (isStale) {
+        staleNames.push({ name, lastSeen });
+      }
+    });
+
+    return { unknownNames, staleNames, staleDays };
+  }
+
+  /**
+   * Stop suggesting a name
+   * @param {string} name - Name to dismiss
+   * @returns {Promise<void>}
+   */
+  async function dismissName(name) {
+    const result = await chrome.storage.sync.get([DISMISSED_NAMES_KEY]);
+    const dismissed = result[DISMISSED_NAMES_KEY] || [];
+    if (!dismissed.includes(name)) {
+      dismissed.push(name);
+      await chrome.storage.sync.set({ [DISMISSED_NAMES_KEY]: dismissed });
+    }
+  }
+
+  return {
+    collectDoneByNames,
+    recordDoneByNames,
+    getRosterSuggestions,
+    dismissName,
+    DEFAULT_STALE_DAYS,
+    STALE_DAYS_KEY
+  };
+})();
@@ -0,0 +1,103 @@
+// Row Buckets - Rows pinned to the top or bottom of the table - Global namespace
+// Uses `self` so the same file loads in the content script and popup
+//
+// Each bucket has a condition (the same column/operator/value as a format rule)
+// and a position. A row belongs to the first enabled bucket it matches. Top
+// buckets come first in list order, then unpinned rows, then bottom buckets in
+// list order. Inside a bucket rows keep the order of the column sort.
+
+/**
+ * @typedef {Object} RowBucket
+ * @property {string} id
+ * @property {boolean} enabled
+ * @property {string} column - One of FormatRules.COLUMNS
+ * @property {string} operator - See FormatRules.OPERATORS
+ * @property {string} value
+ * @property {string} position - 'top' | 'bottom'
+ */
+
+self.TableExtensionRowBuckets = (function() {
+  'use strict';
+
+  const FormatRules = self.TableExtensionFormatRules;
+
+  const BUCKETS_KEY = 'rowBuckets'; // sync: Array<RowBucket>
+  const POSITION_TOP = 'top';
+  const POSITION_BOTTOM = 'bottom';
+
+  // TEX rows at the bottom, as before buckets were configurable
+  const DEFAULT_BUCKETS = [
+    { id: 'bucket-default-0', column: 'SRC', operator: 'equals', value: 'TEX', position: POSITION_BOTTOM }
+  ];
+
+  /**
+   * Create a bucket with every field filled in
+   * @param {Object} [fields] - Fields to set
+   * @returns {RowBucket}
+   */
+  function createBucket(fields = {}) {
+    const rule = FormatRules.createRule(fields);
+    return {
+      id: fields.id || rule.id.replace(/^rule-/, 'bucket-'),
+      enabled: rule.enabled,
+      column: rule.column,
+      operator: rule.operator,
+      value: rule.value,
+      position: fields.position === POSITION_TOP ? POSITION_TOP : POSITION_BOTTOM
+    };
+  }
+
+  /**
+   * Clean up a stored bucket list (defaults when nothing is stored)
+   * @param {*} buckets - Buckets from storage
+   * @returns {Array<RowBucket>}
+   */
+  function normalizeBuckets(buckets) {
+    return (Array.isArray(buckets) ? buckets : DEFAULT_BUCKETS).map(createBucket);
+  }
+
+  /**
+   * Find the bucket a row belongs to
+   * @param {Array<RowBucket>} buckets
+   * @param {Object<string, string>} values - Column -> cell text
+   * @param {Object} context - See FormatRules.matchesRule
+   * @returns {RowBucket|null}
+   */
+  function findBucket(buckets, values, context) {
+    return buckets.find(bucket => bucket.enabled && FormatRules.matchesRule(bucket, values, context)) || null;
+  }
+
+  /**
+   * Order items by bucket, keeping their current order inside each bucket
+   * @param {Array<*>} items - Rows in column-sort order
+   * @param {Array<RowBucket>} buckets
+   * @param {Function} getValues - item -> column values
+   * @param {Object} context - See FormatRules.matchesRule
+   * @returns {Array<*>}
+   */
+  function arrange(items, buckets, getValues, context) {
+    const groups = new Map(buckets.map(bucket => [bucket, []]));
+    const unpinned = [];
+
+    items.forEach(item => {
+      const bucket = findBucket(buckets, getValues(item), context);
+      (bucket ? groups.get(bucket) : unpinned).push(item);
+    });
+
+    const inPosition = position => buckets
+      .filter(bucket => bucket.position === position)
+      .flatMap(bucket => groups.get(bucket));
+
+    return [...inPosition(POSITION_TOP), ...unpinned, ...inPosition(POSITION_BOTTOM)];
+  }
+
+  return {
+    BUCKETS_KEY,
+    POSITION_TOP,
+    POSITION_BOTTOM,
+    createBucket,
+    normalizeBuckets,
+    findBucket,
+    arrange
+  };
+})();
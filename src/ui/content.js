@@ -12,8 +12,13 @@
   const Toast = window.TableExtensionToast;
   const PastDue = window.TableExtensionPastDue;
   const Notification = window.TableExtensionNotification;
+  const Names = window.TableExtensionNames;
+  const DataQuality = window.TableExtensionDataQuality;
+  const ArticleState = window.TableExtensionArticleState;
+  const Group = window.TableExtensionGroup;
 
   const ERROR_MESSAGE = 'Internal Server Error';
+  const DATA_AGE_REFRESH_MS = 60 * 1000;
 
   // ============ PARALLEL TASK HELPERS ============
 
@@ -85,6 +90,11 @@
   function initializeUIComponents() {
     Filter.initializeFilter();
     Copy.initializeCopyButton();
+    Table.initializeSortToolbar();
+    Group.loadGroupBy().then(() => {
+      Group.initializeGroupSelect();
+      Group.applyGrouping();
+    });
   }
 
   /**
@@ -94,7 +104,7 @@
     const table = Utils.getTable();
     if (!table) return;
 
-    // Setup TEX row sorting hooks
+    // Setup row ordering hooks (pinned buckets after every redraw)
     Table.setupDataTablesTexSorting();
 
     // Handle pagination clicks
@@ -120,6 +130,16 @@
     }
   }
 
+  /**
+   * Get the profile to filter to from the URL hash (#profile=Name),
+   * set when a reminder notification opens the portal
+   * @returns {string|null}
+   */
+  function getProfileFromHash() {
+    const match = window.location.hash.match(/profile=([^&]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
   /**
    * Apply table modifications after API data is ready
    */
@@ -129,12 +149,30 @@
     Table.replaceTableHeader();
     Table.populateDoneByColumn();
     Table.finalizeInitialLoad();
+
+    const hashProfile = getProfileFromHash();
+    if (hashProfile) {
+      Filter.setProfileFilter(hashProfile);
+    }
+  }
+
+  /**
+   * Re-populate the table in place after cached data was revalidated
+   */
+  function refreshTableData() {
+    Table.populateDoneByColumn();
+    Table.applyTableOrder();
+    Table.showDataAge();
+    DataQuality.updateButton();
+    Stats.displayTodayStats(Toast.showToast);
   }
 
   // ============ MAIN PARALLEL INITIALIZATION ============
 
   // Flag to prevent initialize() from running twice
   let initializationStarted = false;
+  // Set once the table has been modified, so pushed data can re-populate it
+  let initialTableReady = false;
 
   /**
    * Initialize the extension with PARALLEL execution
@@ -147,6 +185,13 @@
     try {
       // PHASE 1: Start API fetch IMMEDIATELY (don't wait for anything)
       const apiPromise = API.fetchDoneByData().catch(() => null);
+      const cachePromise = API.loadCachedData();
+      API.subscribeToUpdates();
+      const formatRulesPromise = Table.loadFormatRules();
+      const uploadRulesPromise = ArticleState.load();
+      const extraColumnsPromise = Table.loadExtraColumns();
+      const rowBucketsPromise = Table.loadRowBuckets();
+      const priorityOrderPromise = Table.loadPriorityOrder();
 
       // PHASE 2: Wait for table element (in parallel with API fetch)
       const tablePromise = Utils.waitForElement('#article_data', 10000);
@@ -169,11 +214,26 @@
         Promise.resolve().then(() => setupEventListeners())
       ]);
 
-      // PHASE 5: Wait for API data, then apply table modifications
-      await apiPromise;
+      // PHASE 5: Render from the cached response if there is one, otherwise wait for API data
+      const [hasCachedData] = await Promise.all([cachePromise, formatRulesPromise, extraColumnsPromise, uploadRulesPromise, rowBucketsPromise, priorityOrderPromise]);
+      if (!hasCachedData) {
+        await apiPromise;
+      }
 
       // Apply all table modifications at once
       applyTableModifications();
+      initialTableReady = true;
+      Table.showDataAge();
+      DataQuality.updateButton();
+      setInterval(() => Table.showDataAge(), DATA_AGE_REFRESH_MS);
+
+      // Fill DONE BY for older articles from the archive once it has loaded (not awaited)
+      API.loadArchiveLookup()
+        .then(() => {
+          Table.populateDoneByColumn();
+          Table.applyTableOrder();
+        })
+        .catch((error) => console.error('[Content] Archive lookup failed:', error));
 
       // PHASE 6: Run post-processing in PARALLEL
       await Promise.all([
@@ -181,6 +241,12 @@
         Promise.resolve().then(() => Stats.displayTodayStats(Toast.showToast))
       ]);
 
+      // PHASE 7: Revalidate cached data and update the table once fresh data arrives
+      if (hasCachedData) {
+        await apiPromise;
+        refreshTableData();
+      }
+
     } catch (error) {
       console.error('[Content] Initialization error:', error);
       Toast.showToast([ERROR_MESSAGE]);
@@ -231,9 +297,10 @@
   // ============ MESSAGE HANDLING ============
 
   /**
-   * Check unuploaded files for a profile
+   * Check unuploaded files for the given profiles
+   * @param {Array<string>} profiles - Profile names
    */
-  async function checkUnuploadedFilesForProfile(profile) {
+  async function checkUnuploadedFilesForProfiles(profiles) {
     // Ensure API data is ready
     if (!API.hasDataFetched() && !API.isCurrentlyFetching()) {
       await API.fetchDoneByData();
@@ -257,10 +324,7 @@
       return;
     }
 
-    const articleIdIndex = Utils.findColumnIndex(table, 'Article ID');
-    const actionIndex = Utils.findColumnIndex(table, 'Action');
-
-    if (articleIdIndex === -1) {
+    if (Utils.findColumnIndex(table, 'Article ID') === -1) {
       await Notification.sendNotification('Error', {
         body: 'Article ID column not found',
         tag: 'debug-no-column'
@@ -268,58 +332,40 @@
       return;
     }
 
-    // Collect data in parallel-friendly way
-    const portalArticleIds = new Set();
-    const pendingQAArticleIds = new Set();
-    const rows = Utils.getTableRows(table);
-
-    rows.forEach(row => {
-      const articleId = Utils.getCellValue(row, articleIdIndex).trim();
-      if (articleId) {
-        portalArticleIds.add(articleId);
-        if (actionIndex !== -1) {
-          const actionText = Utils.getCellValue(row, actionIndex);
-          if (actionText.toLowerCase().includes('pending qa validation')) {
-            pendingQAArticleIds.add(articleId);
-          }
-        }
-      }
-    });
+    await Promise.all([Names.load(), ArticleState.load()]);
+    const portalIndex = ArticleState.buildPortalIndex(Table.getPortalRows());
 
-    // Find unuploaded files
-    const profileArticleIds = [];
-    let profileItemsCount = 0;
-
-    apiData.forEach(item => {
-      const doneBy = item['Done by'] || '-';
-      const articleNumber = item['Article number'] || '';
-
-      if (doneBy === profile) {
-        profileItemsCount++;
-        if (articleNumber) {
-          const isInPortal = portalArticleIds.has(articleNumber);
-          const hasPendingQA = pendingQAArticleIds.has(articleNumber);
-          if (isInPortal && !hasPendingQA) {
-            profileArticleIds.push(articleNumber);
-          }
-        }
-      }
-    });
+    // Count each article once, for its current owner
+    const currentItems = API.getCurrentAssignments();
+    for (const profile of profiles) {
+      const unuploaded = ArticleState.findUnuploaded(
+        currentItems, portalIndex, doneBy => Names.namesMatch(doneBy, profile)
+      );
+      await notifyUnuploadedFiles(profile, unuploaded);
+    }
+  }
+
+  /**
+   * Send the result of a profile's unuploaded check
+   * @param {string} profile - Profile name
+   * @param {{articleIds: Array<string>, itemsCount: number}} unuploaded - See ArticleState.findUnuploaded
+   */
+  async function notifyUnuploadedFiles(profile, unuploaded) {
+    const profileArticleIds = unuploaded.articleIds;
 
-    // Send notification
     if (profileArticleIds.length > 0) {
       const articleList = profileArticleIds.slice(0, 10).join(', ');
       const moreText = profileArticleIds.length > 10 
         ? ` and ${profileArticleIds.length - 10} more` 
         : '';
       await Notification.sendNotification('Unuploaded Files', {
-        body: `${profileArticleIds.length} file(s): ${articleList}${moreText}`,
+        body: `${profile}: ${profileArticleIds.length} file(s): ${articleList}${moreText}`,
         tag: `unuploaded-${profile}`,
         requireInteraction: true
       });
     } else {
       await Notification.sendNotification('Check Complete', {
-        body: `No unuploaded files for ${profile} (${profileItemsCount} items checked)`,
+        body: `No unuploaded files for ${profile} (${unuploaded.itemsCount} items checked)`,
         tag: `check-${profile}`
       });
     }
@@ -327,15 +373,44 @@
 
   // Message listener
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === 'CHECK_UNUPLOADED_FILES' && message.profile) {
-      checkUnuploadedFilesForProfile(message.profile)
-        .then(() => sendResponse({ success: true }))
-        .catch((err) => sendResponse({ success: false, error: err.message }));
-      return true;
+    if (message.type === 'CHECK_UNUPLOADED_FILES') {
+      // Accept a profile array, or a single profile from older senders
+      const profiles = Array.isArray(message.profiles)
+        ? message.profiles
+        : (message.profile ? [message.profile] : []);
+      if (profiles.length > 0) {
+        checkUnuploadedFilesForProfiles(profiles)
+          .then(() => sendResponse({ success: true }))
+          .catch((err) => sendResponse({ success: false, error: err.message }));
+        return true;
+      }
     }
     if (message.type === 'PROFILE_CHANGED') {
       sendResponse({ success: true });
     }
+    if (message.type === 'FILTER_PROFILE') {
+      Filter.setProfileFilter(message.profile);
+      sendResponse({ success: true });
+    }
+    if (message.type === 'API_FETCH_PROGRESS') {
+      // The worker is retrying the webhook (retry is null once it gave up)
+      API.setRetryState(message.retry);
+      if (initialTableReady) {
+        Table.showDataAge();
+      } else if (message.retry) {
+        Table.showLoadingStatus(message.retry);
+      }
+      sendResponse({ success: true });
+    }
+    if (message.type === 'API_DATA_UPDATED') {
+      // Pushed by the background data hub after a refresh (another tab or the schedule)
+      API.applyPushedData(message.data, message.fetchedAt, message.report).then((applied) => {
+        if (applied && initialTableReady) {
+          refreshTableData();
+        }
+      });
+      sendResponse({ success: true });
+    }
     return true;
   });
 
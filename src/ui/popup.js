@@ -3,63 +3,154 @@
 (function() {
   'use strict';
 
-  // ============================================
-  // PROFILE CONFIGURATION - Add/Remove profiles here
-  // ============================================
-  const PROFILES = [
-    'Anuradha',
-    'Ankur',
-    'Ruchi',
-    'DDN',
-    'Karishma',
-    'Divyasnh',
-    'Amiti',
-    'Ncxmlr'
-  ];
-  // ============================================
-
-  const PROFILE_STORAGE_KEY = 'selectedProfile';
+  const SELECTED_PROFILES_KEY = 'selectedProfiles';
+  const MONITOR_ALL_KEY = 'monitorAllProfiles';
   const PROFILES_STORAGE_KEY = 'profilesList';
   const NOTIFICATIONS_ENABLED_KEY = 'notificationsEnabled';
   const CHECK_INTERVAL_KEY = 'checkIntervalHours';
+  const PORTALS_STORAGE_KEY = 'portalsList';
+  const NOTIFY_MODE_KEY = 'notifyMode';
+  const LAST_RESULTS_KEY = 'lastCheckResults';
+  const SNOOZED_PROFILES_KEY = 'snoozedProfiles';
+  const ALIASES_KEY = 'nameAliases';
+  const EXTRA_COLUMNS_KEY = 'extraColumns';
+  const DEFAULT_NOTIFY_MODE = 'change';
   const DEFAULT_INTERVAL_HOURS = 3;
   const MIN_INTERVAL_HOURS = 1;
   const MAX_INTERVAL_HOURS = 10;
-  const SELECT_ID = 'profile-select';
+  const PROFILE_LIST_ID = 'profile-list';
   const STATUS_ID = 'status';
   const TOGGLE_ID = 'notification-toggle';
   const INTERVAL_INPUT_ID = 'check-interval';
+  const PORTAL_LIST_ID = 'portal-list';
+  const NOTIFY_MODE_ID = 'notify-mode';
+  const ROSTER_LIST_ID = 'roster-list';
+  const ROSTER_INPUT_ID = 'roster-new-name';
+  const ROSTER_ADD_ID = 'roster-add-btn';
+  const SUGGESTIONS_ID = 'roster-suggestions';
+  const STALE_DAYS_ID = 'stale-days';
+  const ALIAS_LIST_ID = 'alias-list';
+  const COLUMN_LIST_ID = 'column-list';
+  // Optional table columns filled from the API (keys match the header configuration)
+  const EXTRA_COLUMNS = [
+    { key: 'pages', label: 'Pages' },
+    { key: 'time', label: 'Time' },
+    { key: 'completed', label: 'Completed' }
+  ];
+  const RosterDiscovery = window.TableExtensionRosterDiscovery;
+  const Endpoint = window.TableExtensionEndpoint;
+  const ArticleState = window.TableExtensionArticleState;
+  const FormatRules = window.TableExtensionFormatRules;
+  const RowBuckets = window.TableExtensionRowBuckets;
+  const PriorityOrder = window.TableExtensionPriorityOrder;
 
-  const select = document.getElementById(SELECT_ID);
+  const profileList = document.getElementById(PROFILE_LIST_ID);
   const status = document.getElementById(STATUS_ID);
   const toggle = document.getElementById(TOGGLE_ID);
   const intervalInput = document.getElementById(INTERVAL_INPUT_ID);
+  const portalList = document.getElementById(PORTAL_LIST_ID);
+  const notifyModeSelect = document.getElementById(NOTIFY_MODE_ID);
+  const rosterList = document.getElementById(ROSTER_LIST_ID);
+  const rosterInput = document.getElementById(ROSTER_INPUT_ID);
+  const rosterAddButton = document.getElementById(ROSTER_ADD_ID);
+  const suggestionsContainer = document.getElementById(SUGGESTIONS_ID);
+  const staleDaysInput = document.getElementById(STALE_DAYS_ID);
+  const aliasList = document.getElementById(ALIAS_LIST_ID);
+  const columnList = document.getElementById(COLUMN_LIST_ID);
+  const formatRuleList = document.getElementById('format-rule-list');
+  const bucketList = document.getElementById('bucket-list');
+  const priorityOrderInput = document.getElementById('priority-order');
+  const pendingQARuleInput = document.getElementById('rule-pending-qa');
+  const uploadedRuleInput = document.getElementById('rule-uploaded');
+  const pendingQAUploadedCheckbox = document.getElementById('rule-pending-qa-uploaded');
+  const environmentSelect = document.getElementById('api-environment');
+  const apiUrlInput = document.getElementById('api-url');
+  const apiAuthHeaderInput = document.getElementById('api-auth-header');
+  const apiAuthTokenInput = document.getElementById('api-auth-token');
+  const apiTimeoutInput = document.getElementById('api-timeout');
+  const apiMaxAttemptsInput = document.getElementById('api-max-attempts');
+  const apiTestResult = document.getElementById('api-test-result');
+  const environmentInput = document.getElementById('api-env-new-name');
+
+  // Team roster as stored in sync storage (the single source of truth)
+  let roster = [];
+
+  // Format rules being edited, in precedence order
+  let formatRules = [];
+
+  // Pinned row buckets being edited, in order
+  let rowBuckets = [];
 
   /**
-   * Populate profile select dropdown
+   * Create a labelled checkbox row
+   * @param {string} text - Label text
+   * @param {string} value - Checkbox value
+   * @returns {HTMLLabelElement}
    */
-  function populateProfiles() {
-    // Clear existing options except the first one
-    while (select.children.length > 1) {
-      select.removeChild(select.lastChild);
+  function createCheckOption(text, value) {
+    const label = document.createElement('label');
+    label.className = 'check-option';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = value;
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(text));
+    return label;
+  }
+
+  /**
+   * Get the profile checkboxes (excluding the "All" checkbox)
+   * @returns {Array<HTMLInputElement>}
+   */
+  function getProfileCheckboxes() {
+    return Array.from(profileList.querySelectorAll('input[data-profile]'));
+  }
+
+  /**
+   * Show the "All" mode: every profile checked and the "All" checkbox set
+   * @param {boolean} monitorAll - Whether "All" is on
+   */
+  function showMonitorAll(monitorAll) {
+    profileList.querySelector('input[data-all]').checked = monitorAll;
+    if (monitorAll) {
+      getProfileCheckboxes().forEach(checkbox => {
+        checkbox.checked = true;
+      });
     }
+  }
 
-    // Add profile options
-    PROFILES.forEach(profile => {
-      const option = document.createElement('option');
-      option.value = profile;
-      option.textContent = profile;
-      select.appendChild(option);
-    });
+  /**
+   * Populate profile checkbox list
+   */
+  function populateProfiles() {
+    profileList.innerHTML = '';
 
-    // Add ALL option
-    const allOption = document.createElement('option');
-    allOption.value = 'ALL';
-    allOption.textContent = 'ALL';
-    select.appendChild(allOption);
+    // Add ALL option (monitors whoever is on the roster at check time, or clears every profile)
+    const allOption = createCheckOption('ALL', '');
+    const allCheckbox = allOption.querySelector('input');
+    allCheckbox.setAttribute('data-all', 'true');
+    allCheckbox.addEventListener('change', () => {
+      getProfileCheckboxes().forEach(checkbox => {
+        checkbox.checked = allCheckbox.checked;
+      });
+      saveSelectedProfiles(allCheckbox.checked);
+    });
+    profileList.appendChild(allOption);
 
-    // Store profiles list in storage for background script
-    chrome.storage.sync.set({ [PROFILES_STORAGE_KEY]: PROFILES });
+    // Add profile options
+    roster.forEach(profile => {
+      const option = createCheckOption(profile, profile);
+      const checkbox = option.querySelector('input');
+      checkbox.setAttribute('data-profile', 'true');
+      // Picking single profiles leaves the "All" mode
+      checkbox.addEventListener('change', () => {
+        showMonitorAll(false);
+        saveSelectedProfiles(false);
+      });
+      profileList.appendChild(option);
+    });
   }
 
   /**
@@ -78,41 +169,436 @@
   }
 
   /**
-   * Load saved profile
+   * Load saved profile selection
    */
-  async function loadProfile() {
+  async function loadProfiles() {
     try {
-      const result = await chrome.storage.sync.get([PROFILE_STORAGE_KEY]);
-      if (result[PROFILE_STORAGE_KEY]) {
-        select.value = result[PROFILE_STORAGE_KEY];
-      }
+      const result = await chrome.storage.sync.get([SELECTED_PROFILES_KEY, MONITOR_ALL_KEY]);
+      const selected = result[SELECTED_PROFILES_KEY] || [];
+      getProfileCheckboxes().forEach(checkbox => {
+        checkbox.checked = selected.includes(checkbox.value);
+      });
+      showMonitorAll(result[MONITOR_ALL_KEY] === true);
     } catch (error) {
-      showStatus('Failed to load profile', true);
+      showStatus('Failed to load profiles', true);
     }
   }
 
   /**
-   * Save selected profile
+   * Save the checked profiles
+   * @param {boolean} monitorAll - "All" mode: the background checks the roster as it is at check time
    */
-  async function saveProfile(profile) {
+  async function saveSelectedProfiles(monitorAll) {
+    const profiles = getProfileCheckboxes()
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.value);
+
     try {
-      await chrome.storage.sync.set({ [PROFILE_STORAGE_KEY]: profile });
-      showStatus('Profile saved successfully');
+      await chrome.storage.sync.set({ [SELECTED_PROFILES_KEY]: profiles, [MONITOR_ALL_KEY]: monitorAll });
+      if (monitorAll) {
+        showStatus('Monitoring all profiles');
+      } else {
+        showStatus(profiles.length > 0 ? `Monitoring ${profiles.length} profile${profiles.length !== 1 ? 's' : ''}` : 'Monitoring nobody');
+      }
       
       // Notify content script about profile change
       chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
         if (tabs[0]) {
           chrome.tabs.sendMessage(tabs[0].id, {
             type: 'PROFILE_CHANGED',
-            profile: profile
+            profiles: profiles
           });
         }
       });
     } catch (error) {
-      showStatus('Failed to save profile', true);
+      showStatus('Failed to save profiles', true);
+    }
+  }
+
+  // ============ ROSTER EDITOR ============
+
+  /**
+   * Check if a name is already on the roster (case-insensitive)
+   * @param {string} name - Name to check
+   * @param {number} ignoreIndex - Roster index to skip (the entry being renamed)
+   * @returns {boolean}
+   */
+  function isOnRoster(name, ignoreIndex = -1) {
+    const lowerName = name.toLowerCase();
+    return roster.some((existing, index) => index !== ignoreIndex && existing.toLowerCase() === lowerName);
+  }
+
+  /**
+   * Create a small roster action button
+   * @param {string} text - Button text
+   * @param {string} title - Tooltip
+   * @param {Function} onClick - Click handler
+   * @param {boolean} disabled - Whether the button is disabled
+   * @returns {HTMLButtonElement}
+   */
+  function createRosterButton(text, title, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.className = 'roster-button';
+    button.textContent = text;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Render the roster editor rows
+   */
+  function renderRoster() {
+    rosterList.innerHTML = '';
+
+    roster.forEach((name, index) => {
+      const row = document.createElement('div');
+      row.className = 'roster-row';
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = name;
+      input.addEventListener('change', () => {
+        renamePerson(index, input.value);
+      });
+
+      row.appendChild(input);
+      row.appendChild(createRosterButton('↑', 'Move up', () => movePerson(index, -1), index === 0));
+      row.appendChild(createRosterButton('↓', 'Move down', () => movePerson(index, 1), index === roster.length - 1));
+      row.appendChild(createRosterButton('✕', 'Remove', () => removePerson(index)));
+      rosterList.appendChild(row);
+    });
+  }
+
+  /**
+   * Load the roster from storage and render everything that depends on it
+   */
+  async function loadRoster() {
+    try {
+      const result = await chrome.storage.sync.get([PROFILES_STORAGE_KEY]);
+      roster = Array.isArray(result[PROFILES_STORAGE_KEY]) ? result[PROFILES_STORAGE_KEY] : [];
+    } catch (error) {
+      showStatus('Failed to load team', true);
+      roster = [];
+    }
+    renderRoster();
+    populateProfiles();
+    await loadProfiles();
+    await loadAliases();
+    await loadSuggestions();
+  }
+
+  /**
+   * Save a new roster and re-render
+   * @param {Array<string>} newRoster - Updated roster
+   * @param {string} message - Status message on success
+   */
+  async function saveRoster(newRoster, message) {
+    try {
+      await chrome.storage.sync.set({ [PROFILES_STORAGE_KEY]: newRoster });
+      roster = newRoster;
+      renderRoster();
+      populateProfiles();
+      await loadProfiles();
+      await loadAliases();
+      await loadSuggestions();
+      showStatus(message);
+    } catch (error) {
+      showStatus('Failed to save team', true);
+      renderRoster();
+    }
+  }
+
+  /**
+   * Add a person to the end of the roster
+   * @param {string} name - Name to add
+   */
+  async function addPerson(name) {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (isOnRoster(trimmed)) {
+      showStatus(`${trimmed} is already on the team`, true);
+      return;
+    }
+    await saveRoster([...roster, trimmed], `${trimmed} added`);
+    rosterInput.value = '';
+  }
+
+  /**
+   * Remove a person from the roster and from the monitored profiles
+   * @param {number} index - Roster index
+   */
+  async function removePerson(index) {
+    const name = roster[index];
+    const newRoster = roster.filter((_, i) => i !== index);
+
+    try {
+      const result = await chrome.storage.sync.get([SELECTED_PROFILES_KEY]);
+      const selected = result[SELECTED_PROFILES_KEY] || [];
+      if (selected.includes(name)) {
+        await chrome.storage.sync.set({
+          [SELECTED_PROFILES_KEY]: selected.filter(profile => profile !== name)
+        });
+      }
+    } catch (error) {
+      showStatus('Failed to update monitored profiles', true);
+      return;
+    }
+
+    await saveRoster(newRoster, `${name} removed`);
+  }
+
+  /**
+   * Move a person up or down the roster
+   * @param {number} index - Roster index
+   * @param {number} delta - -1 to move up, 1 to move down
+   */
+  async function movePerson(index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= roster.length) return;
+
+    const newRoster = [...roster];
+    [newRoster[index], newRoster[target]] = [newRoster[target], newRoster[index]];
+    await saveRoster(newRoster, 'Team order saved');
+  }
+
+  /**
+   * Create a suggestion row
+   * @param {string} text - Suggestion text
+   * @param {Array<HTMLButtonElement>} buttons - Action buttons
+   * @returns {HTMLElement}
+   */
+  function createSuggestionRow(text, buttons) {
+    const row = document.createElement('div');
+    row.className = 'suggestion-row';
+
+    const label = document.createElement('span');
+    label.textContent = text;
+    row.appendChild(label);
+
+    buttons.forEach(button => row.appendChild(button));
+    return row;
+  }
+
+  /**
+   * Show names seen in the API but not on the roster, and roster names not seen recently
+   */
+  async function loadSuggestions() {
+    suggestionsContainer.innerHTML = '';
+
+    try {
+      const { unknownNames, staleNames, staleDays } = await RosterDiscovery.getRosterSuggestions();
+      staleDaysInput.value = staleDays;
+
+      unknownNames.forEach(name => {
+        suggestionsContainer.appendChild(createSuggestionRow(`${name} appears in the sheet`, [
+          createRosterButton('Add', `Add ${name} to the team`, () => addPerson(name)),
+          createRosterButton('Ignore', 'Stop suggesting this name', async () => {
+            await RosterDiscovery.dismissName(name);
+            await loadSuggestions();
+          })
+        ]));
+      });
+
+      staleNames.forEach(({ name, lastSeen }) => {
+        const seenText = lastSeen ? `last seen ${new Date(lastSeen).toLocaleDateString()}` : 'never seen';
+        suggestionsContainer.appendChild(createSuggestionRow(`${name}: not in the sheet for ${staleDays}+ days (${seenText})`, [
+          createRosterButton('Remove', `Remove ${name} from the roster`, () => {
+            const index = roster.indexOf(name);
+            if (index !== -1) {
+              removePerson(index);
+            }
+          })
+        ]));
+      });
+    } catch (error) {
+      showStatus('Failed to load team suggestions', true);
     }
   }
 
+  /**
+   * Save the number of days after which a roster name is flagged
+   */
+  async function saveStaleDays() {
+    const days = parseInt(staleDaysInput.value, 10);
+    if (isNaN(days) || days < 1) {
+      staleDaysInput.value = RosterDiscovery.DEFAULT_STALE_DAYS;
+      return;
+    }
+
+    try {
+      await chrome.storage.sync.set({ [RosterDiscovery.STALE_DAYS_KEY]: days });
+      await loadSuggestions();
+      showStatus(`Flagging people not seen for ${days} day${days !== 1 ? 's' : ''}`);
+    } catch (error) {
+      showStatus('Failed to save setting', true);
+    }
+  }
+
+  /**
+   * Render an alias input per roster name
+   */
+  async function loadAliases() {
+    aliasList.innerHTML = '';
+
+    let aliases = {};
+    try {
+      const result = await chrome.storage.sync.get([ALIASES_KEY]);
+      aliases = result[ALIASES_KEY] || {};
+    } catch (error) {
+      showStatus('Failed to load aliases', true);
+    }
+
+    roster.forEach(name => {
+      const row = document.createElement('div');
+      row.className = 'alias-row';
+
+      const label = document.createElement('span');
+      label.textContent = name;
+      label.title = name;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = 'e.g. other spellings';
+      input.value = (aliases[name] || []).join(', ');
+      input.addEventListener('change', () => {
+        saveAliases(name, input.value);
+      });
+
+      row.appendChild(label);
+      row.appendChild(input);
+      aliasList.appendChild(row);
+    });
+  }
+
+  /**
+   * Save the aliases for one roster name
+   * @param {string} name - Canonical name
+   * @param {string} value - Comma-separated variants
+   */
+  async function saveAliases(name, value) {
+    const variants = value.split(',')
+      .map(variant => variant.trim())
+      .filter(variant => variant && variant !== name);
+
+    try {
+      const result = await chrome.storage.sync.get([ALIASES_KEY]);
+      const aliases = result[ALIASES_KEY] || {};
+      if (variants.length > 0) {
+        aliases[name] = Array.from(new Set(variants));
+      } else {
+        delete aliases[name];
+      }
+      await chrome.storage.sync.set({ [ALIASES_KEY]: aliases });
+      await loadSuggestions();
+      showStatus(`Aliases saved for ${name}`);
+    } catch (error) {
+      showStatus('Failed to save aliases', true);
+    }
+  }
+
+  /**
+   * Rename a key of a stored object map, if present
+   * @param {Object} map - Object keyed by profile name
+   * @param {string} oldName - Current key
+   * @param {string} newName - New key
+   * @returns {boolean} Whether the map changed
+   */
+  function renameKey(map, oldName, newName) {
+    if (!map || !map.hasOwnProperty(oldName)) return false;
+    map[newName] = map[oldName];
+    delete map[oldName];
+    return true;
+  }
+
+  /**
+   * Carry a renamed person's selections, highlights, aliases, last results and snooze
+   * over to the new name. The old name is kept as an alias so existing sheet rows still match.
+   * @param {string} oldName - Previous name
+   * @param {string} newName - New name
+   */
+  async function migrateRenamedProfile(oldName, newName) {
+    const syncData = await chrome.storage.sync.get([SELECTED_PROFILES_KEY, FormatRules.RULES_KEY, ALIASES_KEY]);
+    const syncUpdates = {};
+
+    const aliases = syncData[ALIASES_KEY] || {};
+    renameKey(aliases, oldName, newName);
+    const variants = (aliases[newName] || []).filter(variant => variant !== newName);
+    if (!variants.includes(oldName)) {
+      variants.push(oldName);
+    }
+    aliases[newName] = variants;
+    syncUpdates[ALIASES_KEY] = aliases;
+
+    const selected = syncData[SELECTED_PROFILES_KEY] || [];
+    if (selected.includes(oldName)) {
+      syncUpdates[SELECTED_PROFILES_KEY] = selected.map(profile => profile === oldName ? newName : profile);
+    }
+
+    const rules = FormatRules.normalizeRules(syncData[FormatRules.RULES_KEY]);
+    const renamedRules = rules.filter(rule => rule.column === 'DONE BY' && rule.value === oldName);
+    if (renamedRules.length > 0) {
+      renamedRules.forEach(rule => {
+        rule.value = newName;
+      });
+      syncUpdates[FormatRules.RULES_KEY] = rules;
+    }
+
+    if (Object.keys(syncUpdates).length > 0) {
+      await chrome.storage.sync.set(syncUpdates);
+    }
+
+    const localData = await chrome.storage.local.get([LAST_RESULTS_KEY, SNOOZED_PROFILES_KEY]);
+    const localUpdates = {};
+
+    const lastResults = localData[LAST_RESULTS_KEY];
+    if (renameKey(lastResults, oldName, newName)) {
+      localUpdates[LAST_RESULTS_KEY] = lastResults;
+    }
+
+    const snoozed = localData[SNOOZED_PROFILES_KEY];
+    if (renameKey(snoozed, oldName, newName)) {
+      localUpdates[SNOOZED_PROFILES_KEY] = snoozed;
+    }
+
+    if (Object.keys(localUpdates).length > 0) {
+      await chrome.storage.local.set(localUpdates);
+    }
+  }
+
+  /**
+   * Rename a person on the roster
+   * @param {number} index - Roster index
+   * @param {string} newName - New name
+   */
+  async function renamePerson(index, newName) {
+    const oldName = roster[index];
+    const trimmed = newName.trim();
+
+    if (!trimmed || trimmed === oldName) {
+      renderRoster();
+      return;
+    }
+    if (isOnRoster(trimmed, index)) {
+      showStatus(`${trimmed} is already on the team`, true);
+      renderRoster();
+      return;
+    }
+
+    try {
+      await migrateRenamedProfile(oldName, trimmed);
+    } catch (error) {
+      showStatus('Failed to migrate settings', true);
+      renderRoster();
+      return;
+    }
+
+    const newRoster = [...roster];
+    newRoster[index] = trimmed;
+    await saveRoster(newRoster, `${oldName} renamed to ${trimmed}`);
+  }
+
   /**
    * Load notification toggle state
    */
@@ -181,20 +667,677 @@
     }
   }
 
-  // Initialize dropdown and load profile on popup open
-  populateProfiles();
-  loadProfile();
+  /**
+   * Load notify mode from storage
+   */
+  async function loadNotifyMode() {
+    try {
+      const result = await chrome.storage.sync.get([NOTIFY_MODE_KEY]);
+      notifyModeSelect.value = result[NOTIFY_MODE_KEY] || DEFAULT_NOTIFY_MODE;
+    } catch (error) {
+      showStatus('Failed to load reminder mode', true);
+    }
+  }
+
+  /**
+   * Save notify mode to storage
+   * @param {string} mode - 'change' or 'always'
+   */
+  async function saveNotifyMode(mode) {
+    try {
+      await chrome.storage.sync.set({ [NOTIFY_MODE_KEY]: mode });
+      showStatus(mode === 'always' ? 'Reminding on every check' : 'Reminding only on changes');
+    } catch (error) {
+      showStatus('Failed to save reminder mode', true);
+    }
+  }
+
+  /**
+   * Render a checkbox per configured portal
+   */
+  async function loadPortals() {
+    try {
+      const result = await chrome.storage.sync.get([PORTALS_STORAGE_KEY]);
+      const portals = result[PORTALS_STORAGE_KEY] || [];
+      portalList.innerHTML = '';
+
+      portals.forEach((portal, index) => {
+        const label = createCheckOption(portal.name, portal.name);
+        const checkbox = label.querySelector('input');
+        checkbox.checked = portal.enabled !== false;
+        checkbox.addEventListener('change', () => {
+          savePortalEnabled(index, checkbox.checked);
+        });
+        portalList.appendChild(label);
+      });
+    } catch (error) {
+      showStatus('Failed to load portals', true);
+    }
+  }
+
+  /**
+   * Save enabled state for one portal
+   * @param {number} index - Portal index in the stored list
+   * @param {boolean} isEnabled - Whether the portal is checked
+   */
+  async function savePortalEnabled(index, isEnabled) {
+    try {
+      const result = await chrome.storage.sync.get([PORTALS_STORAGE_KEY]);
+      const portals = result[PORTALS_STORAGE_KEY] || [];
+      if (!portals[index]) return;
+
+      portals[index].enabled = isEnabled;
+      await chrome.storage.sync.set({ [PORTALS_STORAGE_KEY]: portals });
+      showStatus(`${portals[index].name} ${isEnabled ? 'enabled' : 'disabled'}`);
+    } catch (error) {
+      showStatus('Failed to save portals', true);
+    }
+  }
+
+  /**
+   * Render a checkbox per optional table column
+   */
+  async function loadExtraColumns() {
+    try {
+      const result = await chrome.storage.sync.get([EXTRA_COLUMNS_KEY]);
+      const enabledKeys = result[EXTRA_COLUMNS_KEY] || [];
+      columnList.innerHTML = '';
+
+      EXTRA_COLUMNS.forEach(column => {
+        const label = createCheckOption(column.label, column.key);
+        const checkbox = label.querySelector('input');
+        checkbox.checked = enabledKeys.includes(column.key);
+        checkbox.addEventListener('change', () => {
+          saveExtraColumns(column.label, checkbox.checked);
+        });
+        columnList.appendChild(label);
+      });
+    } catch (error) {
+      showStatus('Failed to load columns', true);
+    }
+  }
+
+  /**
+   * Save the checked optional columns
+   * @param {string} label - Column that changed
+   * @param {boolean} isEnabled - Whether it is now checked
+   */
+  async function saveExtraColumns(label, isEnabled) {
+    try {
+      const enabledKeys = Array.from(columnList.querySelectorAll('input:checked'), checkbox => checkbox.value);
+      await chrome.storage.sync.set({ [EXTRA_COLUMNS_KEY]: enabledKeys });
+      showStatus(`${label} column ${isEnabled ? 'shown' : 'hidden'}`);
+    } catch (error) {
+      showStatus('Failed to save columns', true);
+    }
+  }
+
+  /**
+   * Create a select element
+   * @param {Array<{value: string, text: string}>} options
+   * @param {string} selected - Selected value
+   * @param {Function} onChange - Called with the new value
+   * @returns {HTMLSelectElement}
+   */
+  function createSelect(options, selected, onChange) {
+    const select = document.createElement('select');
+    options.forEach(option => {
+      const element = document.createElement('option');
+      element.value = option.value;
+      element.textContent = option.text;
+      select.appendChild(element);
+    });
+    select.value = selected;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  /**
+   * Create a text input that saves on change
+   * @param {string} value - Current value
+   * @param {string} placeholder
+   * @param {Function} onChange - Called with the new value
+   * @returns {HTMLInputElement}
+   */
+  function createRuleInput(value, placeholder, onChange) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value;
+    input.placeholder = placeholder;
+    input.addEventListener('change', () => onChange(input.value.trim()));
+    return input;
+  }
+
+  /**
+   * Create a labelled checkbox that saves on change
+   * @param {string} text - Label text
+   * @param {boolean} checked
+   * @param {string} title - Tooltip
+   * @param {Function} onChange - Called with the new state
+   * @returns {HTMLLabelElement}
+   */
+  function createRuleCheckbox(text, checked, title, onChange) {
+    const label = document.createElement('label');
+    label.title = title;
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    checkbox.addEventListener('change', () => onChange(checkbox.checked));
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(text));
+    return label;
+  }
+
+  /**
+   * Render the format rule editor, one block per rule in precedence order
+   */
+  function renderFormatRules() {
+    formatRuleList.innerHTML = '';
+
+    formatRules.forEach((rule, index) => {
+      const update = changes => {
+        Object.assign(rule, changes);
+        saveFormatRules();
+      };
+      const updateStyle = changes => update({ style: { ...rule.style, ...changes } });
+
+      const block = document.createElement('div');
+      block.className = 'format-rule';
+
+      const conditionRow = document.createElement('div');
+      conditionRow.className = 'format-rule-row';
+      conditionRow.appendChild(createRuleCheckbox('', rule.enabled, 'Enabled', enabled => update({ enabled })));
+      conditionRow.appendChild(createSelect(
+        FormatRules.COLUMNS.map(column => ({ value: column, text: column })),
+        rule.column,
+        column => {
+          // Keep the operator when the new column supports it
+          const operators = FormatRules.getOperators(column);
+          update({ column, operator: operators.includes(rule.operator) ? rule.operator : operators[0] });
+          renderFormatRules();
+        }
+      ));
+      conditionRow.appendChild(createSelect(
+        FormatRules.getOperators(rule.column).map(operator => ({ value: operator, text: FormatRules.OPERATORS[operator] })),
+        rule.operator,
+        operator => update({ operator })
+      ));
+      conditionRow.appendChild(createRuleInput(rule.value, rule.column === 'Due Date' ? 'hours' : 'value', value => update({ value })));
+      block.appendChild(conditionRow);
+
+      const styleRow = document.createElement('div');
+      styleRow.className = 'format-rule-row';
+      styleRow.appendChild(createRuleInput(rule.style.background, 'Background', background => updateStyle({ background })));
+      styleRow.appendChild(createRuleInput(rule.style.color, 'Text color', color => updateStyle({ color })));
+      styleRow.appendChild(createRuleInput(rule.style.badge, 'Badge', badge => updateStyle({ badge })));
+      styleRow.appendChild(createRuleCheckbox('B', rule.style.bold, 'Bold', bold => updateStyle({ bold })));
+      styleRow.appendChild(createRuleCheckbox('Stop', rule.stop, 'Ignore the rules below when this one matches', stop => update({ stop })));
+      styleRow.appendChild(createRosterButton('↑', 'Move up', () => moveFormatRule(index, -1), index === 0));
+      styleRow.appendChild(createRosterButton('↓', 'Move down', () => moveFormatRule(index, 1), index === formatRules.length - 1));
+      styleRow.appendChild(createRosterButton('✕', 'Remove', () => removeFormatRule(index)));
+      block.appendChild(styleRow);
+
+      formatRuleList.appendChild(block);
+    });
+  }
+
+  /**
+   * Load format rules from storage
+   */
+  async function loadFormatRules() {
+    try {
+      const result = await chrome.storage.sync.get([FormatRules.RULES_KEY]);
+      formatRules = FormatRules.normalizeRules(result[FormatRules.RULES_KEY]);
+      renderFormatRules();
+    } catch (error) {
+      showStatus('Failed to load format rules', true);
+    }
+  }
+
+  /**
+   * Save format rules to storage
+   */
+  async function saveFormatRules() {
+    try {
+      await chrome.storage.sync.set({ [FormatRules.RULES_KEY]: formatRules });
+      showStatus('Format rules saved');
+    } catch (error) {
+      showStatus('Failed to save format rules', true);
+    }
+  }
+
+  /**
+   * Move a format rule up or down (earlier rules take precedence)
+   * @param {number} index - Rule index
+   * @param {number} direction - -1 (up) or 1 (down)
+   */
+  function moveFormatRule(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= formatRules.length) return;
+    [formatRules[index], formatRules[target]] = [formatRules[target], formatRules[index]];
+    renderFormatRules();
+    saveFormatRules();
+  }
+
+  /**
+   * Remove a format rule
+   * @param {number} index - Rule index
+   */
+  function removeFormatRule(index) {
+    formatRules.splice(index, 1);
+    renderFormatRules();
+    saveFormatRules();
+  }
+
+  /**
+   * Render the pinned row bucket editor
+   */
+  function renderRowBuckets() {
+    bucketList.innerHTML = '';
+
+    rowBuckets.forEach((bucket, index) => {
+      const update = changes => {
+        Object.assign(bucket, changes);
+        saveRowBuckets();
+      };
+
+      const row = document.createElement('div');
+      row.className = 'format-rule format-rule-row';
+      row.appendChild(createRuleCheckbox('', bucket.enabled, 'Enabled', enabled => update({ enabled })));
+      row.appendChild(createSelect(
+        [{ value: RowBuckets.POSITION_TOP, text: 'Top' }, { value: RowBuckets.POSITION_BOTTOM, text: 'Bottom' }],
+        bucket.position,
+        position => update({ position })
+      ));
+      row.appendChild(createSelect(
+        FormatRules.COLUMNS.map(column => ({ value: column, text: column })),
+        bucket.column,
+        column => {
+          const operators = FormatRules.getOperators(column);
+          update({ column, operator: operators.includes(bucket.operator) ? bucket.operator : operators[0] });
+          renderRowBuckets();
+        }
+      ));
+      row.appendChild(createSelect(
+        FormatRules.getOperators(bucket.column).map(operator => ({ value: operator, text: FormatRules.OPERATORS[operator] })),
+        bucket.operator,
+        operator => update({ operator })
+      ));
+      row.appendChild(createRuleInput(bucket.value, bucket.column === 'Due Date' ? 'hours' : 'value', value => update({ value })));
+      row.appendChild(createRosterButton('↑', 'Move up', () => moveRowBucket(index, -1), index === 0));
+      row.appendChild(createRosterButton('↓', 'Move down', () => moveRowBucket(index, 1), index === rowBuckets.length - 1));
+      row.appendChild(createRosterButton('✕', 'Remove', () => removeRowBucket(index)));
+      bucketList.appendChild(row);
+    });
+  }
+
+  /**
+   * Load pinned row buckets from storage
+   */
+  async function loadRowBuckets() {
+    try {
+      const result = await chrome.storage.sync.get([RowBuckets.BUCKETS_KEY]);
+      rowBuckets = RowBuckets.normalizeBuckets(result[RowBuckets.BUCKETS_KEY]);
+      renderRowBuckets();
+    } catch (error) {
+      showStatus('Failed to load pinned rows', true);
+    }
+  }
+
+  /**
+   * Save pinned row buckets to storage
+   */
+  async function saveRowBuckets() {
+    try {
+      await chrome.storage.sync.set({ [RowBuckets.BUCKETS_KEY]: rowBuckets });
+      showStatus('Pinned rows saved');
+    } catch (error) {
+      showStatus('Failed to save pinned rows', true);
+    }
+  }
+
+  /**
+   * Move a bucket up or down (a row goes to the first bucket it matches)
+   * @param {number} index - Bucket index
+   * @param {number} direction - -1 (up) or 1 (down)
+   */
+  function moveRowBucket(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= rowBuckets.length) return;
+    [rowBuckets[index], rowBuckets[target]] = [rowBuckets[target], rowBuckets[index]];
+    renderRowBuckets();
+    saveRowBuckets();
+  }
+
+  /**
+   * Remove a bucket
+   * @param {number} index - Bucket index
+   */
+  function removeRowBucket(index) {
+    rowBuckets.splice(index, 1);
+    renderRowBuckets();
+    saveRowBuckets();
+  }
+
+  /**
+   * Fill the Priority order field from storage
+   */
+  async function loadPriorityOrder() {
+    try {
+      const result = await chrome.storage.sync.get([PriorityOrder.ORDER_KEY]);
+      priorityOrderInput.value = PriorityOrder.normalizeOrder(result[PriorityOrder.ORDER_KEY]).join(', ');
+    } catch (error) {
+      showStatus('Failed to load priority order', true);
+    }
+  }
+
+  /**
+   * Save the Priority order field
+   */
+  async function savePriorityOrder() {
+    const order = PriorityOrder.normalizeOrder(priorityOrderInput.value.split(','));
+
+    try {
+      await chrome.storage.sync.set({ [PriorityOrder.ORDER_KEY]: order });
+      priorityOrderInput.value = order.join(', ');
+      showStatus('Priority order saved');
+    } catch (error) {
+      showStatus('Failed to save priority order', true);
+    }
+  }
+
+  /**
+   * Fill the upload rule fields from storage
+   */
+  async function loadUploadRules() {
+    try {
+      const result = await chrome.storage.sync.get([ArticleState.RULES_KEY]);
+      const rules = ArticleState.normalizeRules(result[ArticleState.RULES_KEY]);
+      pendingQARuleInput.value = rules.pendingQAActions.join(', ');
+      uploadedRuleInput.value = rules.uploadedActions.join(', ');
+      pendingQAUploadedCheckbox.checked = rules.pendingQACountsAsUploaded;
+    } catch (error) {
+      showStatus('Failed to load upload rules', true);
+    }
+  }
+
+  /**
+   * Save the upload rule fields
+   */
+  async function saveUploadRules() {
+    const splitPatterns = value => value.split(',');
+    const rules = ArticleState.normalizeRules({
+      pendingQAActions: splitPatterns(pendingQARuleInput.value),
+      uploadedActions: splitPatterns(uploadedRuleInput.value),
+      pendingQACountsAsUploaded: pendingQAUploadedCheckbox.checked
+    });
+
+    try {
+      await chrome.storage.sync.set({ [ArticleState.RULES_KEY]: rules });
+      pendingQARuleInput.value = rules.pendingQAActions.join(', ');
+      uploadedRuleInput.value = rules.uploadedActions.join(', ');
+      showStatus('Upload rules saved');
+    } catch (error) {
+      showStatus('Failed to save upload rules', true);
+    }
+  }
+
+  /**
+   * Fill the endpoint fields from settings
+   * @param {Object} endpoint - Endpoint settings
+   */
+  function fillEndpointFields(endpoint) {
+    const normalized = Endpoint.normalizeEndpoint(endpoint);
+    apiUrlInput.value = normalized.url;
+    apiAuthHeaderInput.value = normalized.authHeader;
+    apiAuthTokenInput.value = normalized.authToken;
+    apiTimeoutInput.value = normalized.timeoutSeconds;
+    apiMaxAttemptsInput.value = normalized.maxAttempts;
+    apiTestResult.textContent = '';
+    apiTestResult.className = 'helper-text';
+  }
+
+  /**
+   * Read the endpoint fields
+   * @returns {Object} Normalized endpoint settings
+   */
+  function readEndpointFields() {
+    return Endpoint.normalizeEndpoint({
+      url: apiUrlInput.value,
+      authHeader: apiAuthHeaderInput.value,
+      authToken: apiAuthTokenInput.value.trim(),
+      timeoutSeconds: parseInt(apiTimeoutInput.value, 10),
+      maxAttempts: parseInt(apiMaxAttemptsInput.value, 10)
+    });
+  }
+
+  /**
+   * Load environments and show the active one
+   */
+  async function loadEndpointSettings() {
+    try {
+      const settings = await Endpoint.getSettings();
+      environmentSelect.innerHTML = '';
+      Object.keys(settings.environments).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        environmentSelect.appendChild(option);
+      });
+      environmentSelect.value = settings.activeEnvironment;
+      fillEndpointFields(settings.environments[settings.activeEnvironment]);
+    } catch (error) {
+      showStatus('Failed to load data source', true);
+    }
+  }
+
+  /**
+   * Make an environment the active one
+   * @param {string} name - Environment name
+   */
+  async function selectEnvironment(name) {
+    try {
+      const settings = await Endpoint.getSettings();
+      if (!settings.environments[name]) return;
+
+      settings.activeEnvironment = name;
+      await Endpoint.saveSettings(settings);
+      fillEndpointFields(settings.environments[name]);
+      showStatus(`Using ${name} data source`);
+    } catch (error) {
+      showStatus('Failed to switch environment', true);
+    }
+  }
+
+  /**
+   * Ask for access to a custom endpoint's origin (must run from a click)
+   * @param {string} url - Endpoint URL
+   * @returns {Promise<boolean>} Whether access is granted
+   */
+  async function requestEndpointAccess(url) {
+    try {
+      const origin = new URL(url).origin;
+      if (origin === new URL(Endpoint.DEFAULT_ENDPOINT.url).origin) {
+        return true;
+      }
+      return await chrome.permissions.request({ origins: [`${origin}/*`] });
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Save the endpoint fields into the selected environment
+   */
+  async function saveEndpoint() {
+    const endpoint = readEndpointFields();
+    try {
+      new URL(endpoint.url);
+    } catch (error) {
+      showStatus('Enter a valid URL', true);
+      return;
+    }
+
+    // Request access before any await so the click still counts as a user gesture
+    const hasAccess = await requestEndpointAccess(endpoint.url);
+    if (!hasAccess) {
+      showStatus('Access to this host was not granted', true);
+      return;
+    }
+
+    try {
+      const settings = await Endpoint.getSettings();
+      settings.environments[environmentSelect.value] = endpoint;
+      settings.activeEnvironment = environmentSelect.value;
+      await Endpoint.saveSettings(settings);
+      fillEndpointFields(endpoint);
+      showStatus('Data source saved');
+    } catch (error) {
+      showStatus('Failed to save data source', true);
+    }
+  }
+
+  /**
+   * Request the endpoint in the fields and validate the response shape
+   */
+  async function testEndpoint() {
+    const endpoint = readEndpointFields();
+    // Request access before any await so the click still counts as a user gesture
+    const hasAccess = await requestEndpointAccess(endpoint.url);
+    if (!hasAccess) {
+      apiTestResult.textContent = 'Access to this host was not granted';
+      apiTestResult.className = 'helper-text error';
+      return;
+    }
+
+    apiTestResult.textContent = 'Testing...';
+    apiTestResult.className = 'helper-text';
+
+    const result = await Endpoint.testConnection(endpoint);
+    apiTestResult.textContent = result.message;
+    apiTestResult.className = `helper-text ${result.ok ? 'success' : 'error'}`;
+  }
+
+  /**
+   * Add an environment (starts as a copy of the current fields)
+   * @param {string} name - Environment name
+   */
+  async function addEnvironment(name) {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    try {
+      const settings = await Endpoint.getSettings();
+      if (settings.environments[trimmed]) {
+        showStatus(`${trimmed} already exists`, true);
+        return;
+      }
+
+      settings.environments[trimmed] = readEndpointFields();
+      settings.activeEnvironment = trimmed;
+      await Endpoint.saveSettings(settings);
+      environmentInput.value = '';
+      await loadEndpointSettings();
+      showStatus(`Added ${trimmed}`);
+    } catch (error) {
+      showStatus('Failed to add environment', true);
+    }
+  }
+
+  /**
+   * Remove the selected environment (the last one is kept)
+   */
+  async function removeEnvironment() {
+    try {
+      const settings = await Endpoint.getSettings();
+      const name = environmentSelect.value;
+      if (Object.keys(settings.environments).length <= 1) {
+        showStatus('At least one environment is needed', true);
+        return;
+      }
+
+      delete settings.environments[name];
+      settings.activeEnvironment = Object.keys(settings.environments)[0];
+      await Endpoint.saveSettings(settings);
+      await loadEndpointSettings();
+      showStatus(`Removed ${name}`);
+    } catch (error) {
+      showStatus('Failed to remove environment', true);
+    }
+  }
+
+  // Initialize roster, profile list and settings on popup open
+  loadRoster();
   loadNotificationToggle();
   loadCheckInterval();
+  loadNotifyMode();
+  loadPortals();
+  loadExtraColumns();
+  loadUploadRules();
+  loadFormatRules();
+  loadRowBuckets();
+  loadPriorityOrder();
+  loadEndpointSettings();
+
+  // Handle data source settings
+  environmentSelect.addEventListener('change', (e) => {
+    selectEnvironment(e.target.value);
+  });
+
+  document.getElementById('api-save-btn').addEventListener('click', () => {
+    saveEndpoint();
+  });
+
+  document.getElementById('api-test-btn').addEventListener('click', () => {
+    testEndpoint();
+  });
+
+  document.getElementById('api-env-add-btn').addEventListener('click', () => {
+    addEnvironment(environmentInput.value);
+  });
+
+  document.getElementById('api-env-remove-btn').addEventListener('click', () => {
+    removeEnvironment();
+  });
+
+  // Handle roster additions
+  rosterAddButton.addEventListener('click', () => {
+    addPerson(rosterInput.value);
+  });
 
-  // Handle profile selection change
-  select.addEventListener('change', (e) => {
-    const selectedProfile = e.target.value;
-    if (selectedProfile) {
-      saveProfile(selectedProfile);
+  rosterInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      addPerson(rosterInput.value);
     }
   });
 
+  staleDaysInput.addEventListener('change', () => {
+    saveStaleDays();
+  });
+
+  document.getElementById('format-rule-add-btn').addEventListener('click', () => {
+    formatRules.push(FormatRules.createRule({ style: { background: '#fff3cd' } }));
+    renderFormatRules();
+    saveFormatRules();
+  });
+
+  document.getElementById('bucket-add-btn').addEventListener('click', () => {
+    rowBuckets.push(RowBuckets.createBucket({ position: RowBuckets.POSITION_TOP }));
+    renderRowBuckets();
+    saveRowBuckets();
+  });
+
+  priorityOrderInput.addEventListener('change', () => {
+    savePriorityOrder();
+  });
+
+  // Handle upload rule changes
+  [pendingQARuleInput, uploadedRuleInput, pendingQAUploadedCheckbox].forEach(field => {
+    field.addEventListener('change', () => {
+      saveUploadRules();
+    });
+  });
+
   // Handle notification toggle
   toggle.addEventListener('click', () => {
     const isCurrentlyEnabled = toggle.classList.contains('active');
@@ -208,6 +1351,11 @@
     saveCheckInterval();
   });
 
+  // Handle notify mode change
+  notifyModeSelect.addEventListener('change', (e) => {
+    saveNotifyMode(e.target.value);
+  });
+
   // Validate on input to prevent invalid values
   intervalInput.addEventListener('input', (e) => {
     let value = parseInt(e.target.value, 10);
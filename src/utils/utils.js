@@ -59,13 +59,13 @@ window.TableExtensionUtils = (function() {
   }
 
   /**
-   * Get all table rows
+   * Get all table rows (not the group header rows added by groupManager)
    * @param {HTMLElement} table - Table element
    * @returns {NodeList}
    */
   function getTableRows(table) {
     const tbody = table ? table.querySelector('tbody') : null;
-    return tbody ? tbody.querySelectorAll('tr') : [];
+    return tbody ? tbody.querySelectorAll('tr:not([data-group-header])') : [];
   }
 
   /**
@@ -157,6 +157,20 @@ window.TableExtensionUtils = (function() {
     return `${day}/${month}/${year}`;
   }
 
+  /**
+   * Format how long ago a timestamp was, e.g. "just now", "5 min ago", "3 h ago"
+   * @param {number} timestamp - Past timestamp in ms
+   * @returns {string}
+   */
+  function formatTimeAgo(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    return `${Math.floor(hours / 24)} d ago`;
+  }
+
   /**
    * Parse date string with time in format "DD/MM/YYYY HH:MM AM/PM"
    * @param {string} dateString - Date string with time
@@ -238,88 +252,84 @@ window.TableExtensionUtils = (function() {
     return abbrevMap;
   }
 
-  // ============ ROW UTILITIES ============
+  // ============ SORTING UTILITIES ============
+
+  // Comparator types a column can declare (see HEADER_CONFIG in headerBuilder.js)
+  const SORT_TYPES = {
+    TEXT: 'text',
+    NATURAL: 'natural',   // Digit runs compare as numbers: "9AB" before "12AB"
+    NUMBER: 'number',
+    DATETIME: 'datetime', // "DD/MM/YYYY HH:MM AM/PM", "DD/MM/YYYY" or ISO
+    ORDINAL: 'ordinal'    // Position in a fixed list of values
+  };
 
   /**
-   * Check if a row is a TEX row based on SRC column
-   * @param {HTMLElement} row - Table row
-   * @param {number} srcColumnIndex - SRC column index
+   * Check whether a cell value counts as empty for sorting
+   * @param {string} value - Cell value
    * @returns {boolean}
    */
-  function isTexRow(row, srcColumnIndex) {
-    if (srcColumnIndex === -1) return false;
-    const cells = row.querySelectorAll('td');
-    if (cells.length <= srcColumnIndex) return false;
-    return cells[srcColumnIndex].textContent.trim().toUpperCase() === 'TEX';
+  function isEmptySortValue(value) {
+    const text = String(value ?? '').trim();
+    return text === '' || text === '-';
   }
 
   /**
-   * Split rows into TEX and non-TEX arrays
-   * @param {HTMLElement[]} rows - Array of table rows
-   * @param {number} srcColumnIndex - SRC column index
-   * @returns {{ texRows: HTMLElement[], nonTexRows: HTMLElement[] }}
+   * Parse a date cell value
+   * @param {string} value - Cell value
+   * @returns {number|null} - Timestamp
    */
-  function splitRowsBySrc(rows, srcColumnIndex) {
-    const texRows = [];
-    const nonTexRows = [];
-
-    for (const row of rows) {
-      if (isTexRow(row, srcColumnIndex)) {
-        texRows.push(row);
-      } else {
-        nonTexRows.push(row);
-      }
-    }
-
-    return { texRows, nonTexRows };
+  function parseSortDate(value) {
+    const date = parseDate(value) || parseDateString(value);
+    if (date) return date.getTime();
+    const timestamp = Date.parse(value);
+    return isNaN(timestamp) ? null : timestamp;
   }
 
   /**
-   * Check if TEX rows are already at bottom (optimization check)
-   * @param {HTMLElement[]} rows - Array of table rows
-   * @param {number} srcColumnIndex - SRC column index
-   * @returns {boolean}
+   * Compare two values by a parsed key; values that parse come before those
+   * that do not, which compare as text
+   * @param {string} valueA - First value
+   * @param {string} valueB - Second value
+   * @param {Function} parse - value -> number|null
+   * @returns {number}
    */
-  function areTexRowsAtBottom(rows, srcColumnIndex) {
-    let foundTex = false;
-    for (const row of rows) {
-      if (isTexRow(row, srcColumnIndex)) {
-        foundTex = true;
-      } else if (foundTex) {
-        // Found non-TEX after TEX - not in order
-        return false;
-      }
-    }
-    return true;
+  function compareParsed(valueA, valueB, parse) {
+    const keyA = parse(valueA);
+    const keyB = parse(valueB);
+    if (keyA !== null && keyB !== null) return keyA - keyB;
+    if (keyA !== null) return -1;
+    if (keyB !== null) return 1;
+    return valueA.localeCompare(valueB);
   }
 
-  // ============ SORTING UTILITIES ============
-
   /**
-   * Compare two cell values for sorting (handles numbers, dates, strings)
-   * @param {string} valueA - First value
-   * @param {string} valueB - Second value
-   * @returns {number} - Comparison result (-1, 0, 1)
+   * Get the comparator for a column's sort type. Empty values are not handled
+   * here; the sort manager keeps them last in either direction.
+   * @param {string} [type] - One of SORT_TYPES (text when omitted)
+   * @param {Array<string>} [order] - Values in order, for ORDINAL (case-insensitive)
+   * @returns {Function} - (valueA, valueB) => number
    */
-  function compareCellValues(valueA, valueB) {
-    // Try numeric comparison
-    const numA = parseFloat(valueA);
-    const numB = parseFloat(valueB);
-    const isNumeric = !isNaN(numA) && !isNaN(numB) && valueA !== '' && valueB !== '';
-
-    if (isNumeric) {
-      return numA - numB;
-    }
-
-    // Try date comparison
-    const dateA = parseDate(valueA) || parseDateString(valueA);
-    const dateB = parseDate(valueB) || parseDateString(valueB);
-    if (dateA && dateB) {
-      return dateA - dateB;
+  function getComparator(type, order = []) {
+    switch (type) {
+      case SORT_TYPES.NATURAL:
+        return (valueA, valueB) => valueA.localeCompare(valueB, undefined, { numeric: true, sensitivity: 'base' });
+      case SORT_TYPES.NUMBER:
+        return (valueA, valueB) => compareParsed(valueA, valueB, value => {
+          const number = Number(value.trim());
+          return Number.isFinite(number) ? number : null;
+        });
+      case SORT_TYPES.DATETIME:
+        return (valueA, valueB) => compareParsed(valueA, valueB, parseSortDate);
+      case SORT_TYPES.ORDINAL: {
+        const ranks = order.map(value => value.trim().toLowerCase());
+        return (valueA, valueB) => compareParsed(valueA, valueB, value => {
+          const rank = ranks.indexOf(value.trim().toLowerCase());
+          return rank === -1 ? null : rank;
+        });
+      }
+      default:
+        return (valueA, valueB) => valueA.localeCompare(valueB);
     }
-
-    // Fallback to string comparison
-    return valueA.localeCompare(valueB);
   }
 
   // Public API
@@ -339,18 +349,16 @@ window.TableExtensionUtils = (function() {
     // Date utilities
     parseDateString,
     formatDate,
+    formatTimeAgo,
     parseDate,
     
     // String utilities
     generateUniqueAbbreviations,
     
-    // Row utilities
-    isTexRow,
-    splitRowsBySrc,
-    areTexRowsAtBottom,
-    
     // Sorting utilities
-    compareCellValues
+    SORT_TYPES,
+    isEmptySortValue,
+    getComparator
   };
 })();
 